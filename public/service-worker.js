@@ -0,0 +1,296 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for the Daily Activities tracker.
+// Offline: the build is kept in Cache Storage and served from there first,
+// so the installed app opens without a network. This file is the same in
+// every build, so new deploys are found by comparing asset-manifest.json:
+// the page asks for a check ('update:check'), a newer build is downloaded
+// next to the current one and announced ('update:ready'), and it only
+// replaces the current one when the user agrees ('update:apply').
+// Reminders: handles the "Mark done" / "Snooze" notification actions. Open
+// tabs are told via postMessage and update their own state; with no tab
+// open, "done" is written straight into the IndexedDB day record, with
+// its completion time and a 'completed' event in that day's log, as the
+// app does (see stampCompletion and diffEvents in src/activityLog.js).
+
+const DB_NAME = 'daily-activities-tracker';
+const DAYS = 'days';
+const LOGS = 'logs';
+const SNOOZE_MINUTES = 10;
+
+// Registered as service-worker.js?dev by the dev server: no caching there
+const CACHING = !new URL(self.location.href).searchParams.has('dev');
+// index.html and asset-manifest.json of the build being served
+const SHELL = 'daily-activities-shell';
+// The same two files of a newer build, until the user reloads into it
+const PENDING = 'daily-activities-pending';
+// Hashed build files, icons and the Tailwind script
+const ASSETS = 'daily-activities-assets';
+const STATIC_FILES = [
+  'manifest.json',
+  'icon-192.png',
+  'icon-512.png',
+  'icon-maskable.png',
+];
+const EXTERNAL = ['https://cdn.tailwindcss.com/'];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  self.skipWaiting();
+  if (CACHING) event.waitUntil(installBuild().catch(() => {}));
+});
+self.addEventListener('activate', (event) =>
+  event.waitUntil(self.clients.claim())
+);
+
+async function cachedText(cacheName, path) {
+  const cache = await caches.open(cacheName);
+  const res = await cache.match(scoped(path));
+  return res ? res.text() : null;
+}
+
+function buildFiles(manifest) {
+  return Object.entries(manifest.files || {})
+    .filter(([name, path]) => name !== 'index.html' && !path.endsWith('.map'))
+    .map(([, path]) => new URL(path, self.location.origin).href);
+}
+
+// Downloads the deployed build; its shell goes into `shellCache`
+async function downloadBuild(shellCache, manifestText) {
+  const files = buildFiles(JSON.parse(manifestText));
+  const assets = await caches.open(ASSETS);
+  await assets.addAll([
+    ...files,
+    ...STATIC_FILES.map((f) => new Request(scoped(f), { cache: 'reload' })),
+  ]);
+  for (const url of EXTERNAL) {
+    const res = await fetch(url, { mode: 'no-cors', cache: 'reload' });
+    await assets.put(url, res);
+  }
+  const index = await fetch(scoped('index.html'), { cache: 'no-store' });
+  if (!index.ok) throw new Error(`index.html: ${index.status}`);
+  const shell = await caches.open(shellCache);
+  await shell.put(scoped('index.html'), index);
+  await shell.put(
+    scoped('asset-manifest.json'),
+    new Response(manifestText, {
+      headers: { 'Content-Type': 'application/json' },
+    })
+  );
+}
+
+async function fetchManifestText() {
+  const res = await fetch(scoped('asset-manifest.json'), { cache: 'no-store' });
+  if (!res.ok) throw new Error(`asset-manifest.json: ${res.status}`);
+  return res.text();
+}
+
+async function installBuild() {
+  if (await cachedText(SHELL, 'asset-manifest.json')) return;
+  await downloadBuild(SHELL, await fetchManifestText());
+}
+
+// Resolves true when a newer build is downloaded and waiting
+async function checkForUpdate() {
+  const current = await cachedText(SHELL, 'asset-manifest.json');
+  const deployed = await fetchManifestText();
+  if (!current) {
+    await downloadBuild(SHELL, deployed);
+    return false;
+  }
+  if (deployed === current) {
+    await caches.delete(PENDING);
+    return false;
+  }
+  if ((await cachedText(PENDING, 'asset-manifest.json')) !== deployed) {
+    await downloadBuild(PENDING, deployed);
+  }
+  return true;
+}
+
+// Makes the waiting build current and drops files only the old one used
+async function applyUpdate() {
+  const pending = await caches.open(PENDING);
+  const shell = await caches.open(SHELL);
+  for (const req of await pending.keys()) {
+    await shell.put(req, await pending.match(req));
+  }
+  await caches.delete(PENDING);
+  const manifestText = await cachedText(SHELL, 'asset-manifest.json');
+  if (!manifestText) return;
+  const keep = new Set([
+    ...buildFiles(JSON.parse(manifestText)),
+    ...STATIC_FILES.map(scoped),
+    ...EXTERNAL,
+  ]);
+  const assets = await caches.open(ASSETS);
+  for (const req of await assets.keys()) {
+    if (!keep.has(req.url)) await assets.delete(req);
+  }
+}
+
+async function fromCache(cacheName, key, request) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(key);
+  if (hit) return hit;
+  return fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (!CACHING || req.method !== 'GET') return;
+  if (req.mode === 'navigate' && req.url.startsWith(self.registration.scope)) {
+    event.respondWith(fromCache(SHELL, scoped('index.html'), req));
+  } else if (
+    new URL(req.url).origin === self.location.origin ||
+    EXTERNAL.includes(req.url)
+  ) {
+    event.respondWith(fromCache(ASSETS, req, req));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  const reply = (msg) => event.source && event.source.postMessage(msg);
+  if (type === 'update:check' && CACHING) {
+    event.waitUntil(
+      checkForUpdate()
+        .then((ready) => ready && reply({ type: 'update:ready' }))
+        .catch(() => {})
+    );
+  } else if (type === 'update:apply') {
+    event.waitUntil(
+      applyUpdate()
+        .catch(() => {})
+        .then(() => reply({ type: 'update:applied' }))
+    );
+  }
+});
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const r = indexedDB.open(DB_NAME);
+    r.onsuccess = () => {
+      // Never hold up the app upgrading the database
+      r.result.onversionchange = () => r.result.close();
+      resolve(r.result);
+    };
+    r.onerror = () => reject(r.error);
+  });
+}
+
+// Same format as uid() in src/utils.js
+function uid() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+// The same as checking the item in the app (see setDone in App.js): its
+// checklist is checked, and a counter or timer is filled to its target
+function completeItem(item, at) {
+  const done = { ...item, done: true, completedAt: at };
+  if (Array.isArray(item.subtasks)) {
+    done.subtasks = item.subtasks.map((s) => ({ ...s, done: true }));
+  } else if (item.kind === 'count') {
+    done.count = Math.max(item.count || 0, item.target);
+  } else if (item.kind === 'timer') {
+    const running = item.runningSince
+      ? Math.max(0, Math.floor((at - item.runningSince) / 1000))
+      : 0;
+    delete done.runningSince;
+    done.spent = Math.max((item.spent || 0) + running, item.target * 60);
+  }
+  return done;
+}
+
+async function markDoneInDb({ dateKey, itemId }) {
+  const db = await openDb();
+  if (!db.objectStoreNames.contains(DAYS)) return false;
+  const stores = db.objectStoreNames.contains(LOGS) ? [DAYS, LOGS] : [DAYS];
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    const days = tx.objectStore(DAYS);
+    const get = days.get(dateKey);
+    get.onsuccess = () => {
+      const items = Array.isArray(get.result) ? get.result : [];
+      const item = items.find((it) => it.id === itemId && !it.done);
+      if (!item) return;
+      const at = Date.now();
+      days.put(
+        items.map((it) => (it === item ? completeItem(it, at) : it)),
+        dateKey
+      );
+      if (!stores.includes(LOGS)) return;
+      const logs = tx.objectStore(LOGS);
+      const getLog = logs.get(dateKey);
+      getLog.onsuccess = () => {
+        const events = Array.isArray(getLog.result) ? getLog.result : [];
+        const event = {
+          id: uid(),
+          at,
+          type: 'completed',
+          itemId,
+          text: item.text,
+        };
+        logs.put([...events, event], dateKey);
+      };
+    };
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function reshow(notification, at) {
+  const options = {
+    tag: notification.tag,
+    body: notification.body,
+    data: notification.data,
+    actions: notification.actions,
+    renotify: true,
+  };
+  if (at && 'TimestampTrigger' in self) {
+    options.showTrigger = new self.TimestampTrigger(at);
+    return self.registration.showNotification(notification.title, options);
+  }
+  // Best effort: the browser may stop an idle worker before this fires
+  return new Promise((resolve) =>
+    setTimeout(resolve, SNOOZE_MINUTES * 60_000)
+  ).then(() => self.registration.showNotification(notification.title, options));
+}
+
+async function handleClick(event) {
+  const n = event.notification;
+  const data = n.data || {};
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+
+  if (event.action === 'done') {
+    if (windows.length > 0) {
+      windows.forEach((c) => c.postMessage({ type: 'reminder:done', ...data }));
+      return;
+    }
+    await markDoneInDb(data).catch(() => false);
+    return;
+  }
+
+  if (event.action === 'snooze') {
+    if (windows.length > 0) {
+      windows[0].postMessage({ type: 'reminder:snooze', ...data });
+      return;
+    }
+    await reshow(n, Date.now() + SNOOZE_MINUTES * 60_000);
+    return;
+  }
+
+  if (windows.length > 0) {
+    await windows[0].focus();
+    return;
+  }
+  await self.clients.openWindow(self.registration.scope);
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(handleClick(event));
+});
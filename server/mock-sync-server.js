@@ -0,0 +1,99 @@
+// Minimal sync server for trying out and testing sync (see src/sync.js and
+// src/syncAdapters.js). Keeps everything in memory; no dependencies.
+//
+//   node server/mock-sync-server.js            http://localhost:8787
+//   PORT=9000 TOKEN=secret node server/mock-sync-server.js
+//
+// Then use http://localhost:8787 as the endpoint in Settings.
+// - GET  /changes?since=<cursor>  -> { records, cursor }
+// - POST /changes  { records }    -> 204
+// Per key the record with the newest `at` is kept; every stored record gets
+// the next sequence number, which is what the cursor counts.
+// createSyncServer() gives a fresh, not yet listening server, for tests.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.TOKEN || '';
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createSyncServer({ token = '' } = {}) {
+  const records = new Map(); // key -> { seq, record }
+  let seq = 0;
+
+  function store(record) {
+    if (!record || typeof record.key !== 'string') return;
+    if (typeof record.at !== 'number') return;
+    const prev = records.get(record.key);
+    if (prev && prev.record.at >= record.at) return;
+    seq += 1;
+    records.set(record.key, { seq, record });
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return send(res, 401, { error: 'unauthorized' });
+    }
+    if (url.pathname !== '/changes') {
+      return send(res, 404, { error: 'not found' });
+    }
+
+    if (req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      const changed = [...records.values()]
+        .filter((r) => r.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map((r) => r.record);
+      return send(res, 200, { records: changed, cursor: seq });
+    }
+    if (req.method === 'POST') {
+      let body;
+      try {
+        body = await readBody(req);
+      } catch {
+        return send(res, 400, { error: 'invalid JSON' });
+      }
+      for (const record of Array.isArray(body.records) ? body.records : []) {
+        store(record);
+      }
+      return send(res, 204);
+    }
+    return send(res, 405, { error: 'method not allowed' });
+  });
+}
+
+module.exports = { createSyncServer };
+
+if (require.main === module) {
+  createSyncServer({ token: TOKEN }).listen(PORT, () => {
+    console.log(`Sync server on http://localhost:${PORT}`);
+  });
+}
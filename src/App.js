@@ -1,336 +1,2249 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  appendEvents,
+  diffEvents,
+  EVENT_TYPES,
+  formatEventTime,
+  makeEvent,
+  stampCompletion,
+} from './activityLog';
+import {
+  bucketLabel,
+  DEFAULT_BUCKETS,
+  editBucket,
+  makeBucket,
+  remapItems,
+  remapTemplates,
+} from './buckets';
+import {
+  emptyStore,
+  loadStore,
+  normalizeDayItems,
+  pruneHistory,
+  pruneStore,
+  QUARANTINE_KEY,
+  RETENTION_OPTIONS,
+  saveStore,
+} from './storage';
+import { carryOverItems } from './carryover';
+import { moveSelection, rankCommands, SHORTCUTS } from './commands';
+import {
+  activeTimeZone,
+  clockSettings,
+  configureClock,
+  DAY_START_OPTIONS,
+  deviceTimeZone,
+  formatClock,
+  timeZoneNames,
+} from './clock';
+import {
+  reminderTag,
+  registerServiceWorker,
+  remindersSupported,
+  requestReminderPermission,
+  scheduleReminders,
+  snoozeReminder,
+  upcomingReminders,
+} from './reminders';
+import {
+  addCount,
+  completeItem,
+  describeMeasure,
+  finishTimer,
+  formatSeconds,
+  ITEM_KINDS,
+  measureDefinition,
+  measureFields,
+  progressRate,
+  reopenItem,
+  startTimer,
+  stopTimer,
+  timerSeconds,
+  timersDue,
+} from './measures';
+import {
+  archiveResults,
+  describeGoal,
+  describeProgress,
+  GOAL_PERIODS,
+  GOAL_UNITS,
+  goalProgress,
+  makeGoal,
+} from './goals';
+import { parseNotes } from './notes';
+import { dayStatus, oldestOpenable } from './planning';
+import { parseQuickAdd } from './quickAdd';
+import { applyUpdate, checkForUpdate, workerSupported } from './pwa';
+import { compareItems, moveItem, moveTemplate } from './ordering';
+import { formatSchedule, scheduleFields } from './schedule';
+import { toCSV, toICS } from './exporters';
+import {
+  applyRecords,
+  configureSync,
+  dayRecordChanges,
+  disableSync,
+  loadSyncState,
+  patchRecords,
+  queueChanges,
+  recordSyncError,
+  SYNC_INTERVAL,
+  syncRound,
+} from './sync';
+import { createRestAdapter } from './syncAdapters';
+import {
+  applyDayChanges,
+  applyPatch,
+  openTabSync,
+  storePatch,
+  withoutDeleted,
+} from './tabSync';
+import {
+  addSubtask,
+  removeSubtask,
+  setAllSubtasks,
+  setNotes,
+  subtaskCounts,
+  toggleSubtask,
+} from './subtasks';
+import {
+  activityKey,
+  activityStats,
+  bucketTrends,
+  dayProgress,
+  daysInWindow,
+  tagStats,
+  weekdayBreakdown,
+  WEEKDAYS,
+} from './stats';
+import {
+  allTags,
+  extractTags,
+  hasAnyTag,
+  searchDays,
+  tagFields,
+  withTagText,
+} from './tags';
+import {
+  describeRepeat,
+  makeItemsForDate,
+  makeRoutine,
+  makeTemplate,
+  REPEAT_TYPES,
+  reseedItems,
+  routineForDate,
+  routineOfItems,
+  WEEKDAY_OPTIONS,
+} from './templates';
+import { applyImport, exportStore, parseImport, planImport } from './transfer';
+import {
+  canRedo,
+  canUndo,
+  emptyUndo,
+  pushUndo,
+  rebaseUndo,
+  stepBack,
+  stepForward,
+} from './undo';
+import {
+  addDays,
+  addMonths,
+  cls,
+  downloadFile,
+  monthGrid,
+  todayKey,
+  uid,
+} from './utils';
 
 // Daily Activities Tracker
-// - Morning / Noon / Evening buckets
-// - Tap to mark completed
-// - Templates (auto-fill a new day)
-// - 7-day history
-// - Persists in localStorage
-
-const STORAGE_KEY = 'daily-activities-tracker:v2';
-
-const BUCKETS = [
-  { id: 'morning', label: 'Morning' },
-  { id: 'noon', label: 'Noon' },
-  { id: 'evening', label: 'Evening' },
-];
+// - User-defined time buckets (Morning / Noon / Evening to start with)
+// - Tap to mark completed, edit inline, drag to reorder or move between buckets
+// - Counter and timer activities with targets; partial progress counts
+// - Notes and subtask checklists on activities and templates
+// - #tags with a filter on Today, search in History and per-tag stats
+// - Optional carry-over of unfinished items into the next day
+// - Configurable day start hour and time zone (late nights, travel)
+// - Optional clock times with browser reminders
+// - Named routines of templates with repeat rules (auto-fill a new day)
+// - Open any date: plan days ahead or backfill missed ones
+// - Command palette (Ctrl+K) and single-key shortcuts (? lists them)
+// - Quick-add phrases: "Gym tomorrow evening #health x3"
+// - Weekly/monthly goals per activity, with past results kept in History
+// - History kept for a configurable number of days, with a per-day timeline
+// - Undo/redo for every change (Ctrl+Z / Ctrl+Shift+Z)
+// - Persists in IndexedDB (localStorage fallback); open tabs stay in sync
+// - Optional sync with a self-hosted server (Settings)
+// - Installable; works offline and offers to reload when a new build is out
 
 // ✅ RGB gradient (was missing)
 const rgb = 'bg-gradient-to-r from-fuchsia-500 via-cyan-400 to-lime-400';
 
-function todayKey() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
+function monthLabel(monthKey) {
+  const [y, m] = monthKey.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(undefined, {
+    month: 'long',
+    year: 'numeric',
+  });
 }
 
-function uid() {
-  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`;
+// Heatmap cell colour by completion; days without a record are styled apart
+function heatClass(rate) {
+  if (rate === 0) return 'bg-white/10 text-white/60';
+  if (rate < 25) return 'bg-lime-400/25 text-white/80';
+  if (rate < 50) return 'bg-lime-400/45 text-white';
+  if (rate < 75) return 'bg-lime-400/65 text-black';
+  if (rate < 100) return 'bg-lime-400/85 text-black';
+  return 'bg-lime-400 text-black';
 }
 
-function cls(...xs) {
-  return xs.filter(Boolean).join(' ');
+// The store with `dateKey` set up as today: seeded from its routine when
+// it has no record yet and, with carry-over on, given the unfinished items
+// of the day before. A day planned ahead already has a record and gets
+// them when its turn comes; the 'carried' events in its log (or carried
+// items still in it) make sure that happens only once.
+function startDay(store, dateKey) {
+  const stored = store.days[dateKey];
+  const items = stored || makeItemsForDate(store, dateKey);
+  const carriedBefore =
+    (store.logs?.[dateKey] || []).some((e) => e.type === 'carried') ||
+    items.some((it) => it.carriedFrom);
+  const carried =
+    store.settings?.carryOver && !carriedBefore
+      ? carryOverItems(store.days, dateKey, items)
+      : [];
+  if (stored && carried.length === 0) return store;
+  return {
+    ...store,
+    days: { ...store.days, [dateKey]: [...carried, ...items] },
+    logs: appendEvents(
+      store.logs,
+      dateKey,
+      carried.map((it) => makeEvent('carried', it, `from ${it.carriedFrom}`))
+    ),
+  };
 }
 
-function safeJSONParse(raw) {
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+// Checking an item by hand, from a bucket's "mark all" or from a reminder
+// checks its whole checklist, or fills a counter or timer to its target
+function setDone(item, done) {
+  if (item.subtasks) return setAllSubtasks(item, done);
+  return done ? completeItem(item) : reopenItem(item);
 }
 
-function loadStore() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) {
-    return {
-      version: 2,
-      templates: {
-        morning: ['Water', 'Stretch', 'Plan day'],
-        noon: ['Lunch', '5-min walk'],
-        evening: ['Review day', 'Read 10 min'],
-      },
-      days: {},
-    };
-  }
-  const parsed = safeJSONParse(raw);
-  if (!parsed || typeof parsed !== 'object') return null;
+// Static class names so the Tailwind CDN can see them
+function gridCols(n) {
+  if (n <= 1) return 'md:grid-cols-1';
+  if (n === 2) return 'md:grid-cols-2';
+  if (n === 3) return 'md:grid-cols-3';
+  return 'md:grid-cols-2 lg:grid-cols-4';
+}
 
-  // Minimal migration from v1 to v2 if user used the earlier version
-  if (parsed.dateKey && Array.isArray(parsed.items)) {
-    const migrated = {
-      version: 2,
-      templates: { morning: [], noon: [], evening: [] },
-      days: { [parsed.dateKey]: parsed.items },
-    };
-    return migrated;
-  }
+function retentionLabel(days) {
+  return days == null ? 'all days' : `last ${days} days`;
+}
+
+// Text fields keep the browser's own Ctrl+Z
+function isTextField(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+  return (
+    el.tagName === 'INPUT' &&
+    !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(el.type)
+  );
+}
 
-  if (!parsed.version) parsed.version = 2;
-  if (!parsed.templates)
-    parsed.templates = { morning: [], noon: [], evening: [] };
-  if (!parsed.days) parsed.days = {};
-  return parsed;
+function Spans({ spans }) {
+  return spans.map((s, i) => {
+    if (s.type === 'b') return <strong key={i}>{s.text}</strong>;
+    if (s.type === 'i') return <em key={i}>{s.text}</em>;
+    if (s.type === 'code') {
+      return (
+        <code key={i} className="rounded bg-white/10 px-1 text-[12px]">
+          {s.text}
+        </code>
+      );
+    }
+    if (s.type === 'link') {
+      return (
+        <a
+          key={i}
+          href={s.href}
+          target="_blank"
+          rel="noreferrer"
+          className="text-cyan-300 underline"
+        >
+          {s.text}
+        </a>
+      );
+    }
+    return <React.Fragment key={i}>{s.text}</React.Fragment>;
+  });
+}
+
+function NotesView({ text }) {
+  return (
+    <div className="space-y-1 text-sm text-white/70">
+      {parseNotes(text).map((block, i) =>
+        block.type === 'ul' ? (
+          <ul key={i} className="list-disc pl-5">
+            {block.items.map((spans, j) => (
+              <li key={j}>
+                <Spans spans={spans} />
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p key={i}>
+            {block.lines.map((spans, j) => (
+              <React.Fragment key={j}>
+                {j > 0 && <br />}
+                <Spans spans={spans} />
+              </React.Fragment>
+            ))}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+function TagChips({ tags }) {
+  if (!tags) return null;
+  return (
+    <span className="ml-1 inline-flex flex-wrap gap-1 align-middle">
+      {tags.map((t) => (
+        <span
+          key={t}
+          className="rounded-full bg-white/10 px-1.5 py-0.5 text-[10px] font-medium text-cyan-200/80"
+        >
+          #{t}
+        </span>
+      ))}
+    </span>
+  );
 }
 
-function saveStore(store) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
-  } catch {
-    // ignore
+function Timeline({ events }) {
+  if (events.length === 0) {
+    return <p className="mt-2 text-sm text-white/50">Nothing recorded yet.</p>;
   }
+  return (
+    <ol className="mt-3 space-y-1.5 border-l border-white/10 pl-3">
+      {events.map((e) => (
+        <li key={e.id} className="text-sm">
+          <span className="font-mono text-xs text-white/40">
+            {formatEventTime(e.at)}
+          </span>{' '}
+          <span className="text-white/60">{EVENT_TYPES[e.type]}</span>{' '}
+          <span className="text-white/90">{e.text}</span>
+          {e.detail && (
+            <span className="text-xs text-white/40"> ({e.detail})</span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
 }
 
-function makeItemsFromTemplates(templates) {
-  const now = Date.now();
-  const items = [];
-  for (const b of BUCKETS) {
-    const list = Array.isArray(templates?.[b.id]) ? templates[b.id] : [];
-    for (const t of list) {
-      const text = String(t || '').trim();
-      if (!text) continue;
-      items.push({
-        id: uid(),
-        text,
-        bucket: b.id,
-        done: false,
-        createdAt: now,
-        fromTemplate: true,
-      });
+const TABS = [
+  { id: 'today', label: 'Today' },
+  { id: 'templates', label: 'Templates' },
+  { id: 'history', label: 'History' },
+  { id: 'stats', label: 'Stats' },
+  { id: 'settings', label: 'Settings' },
+];
+
+// What a quick-add phrase will create, as chips under the input
+function QuickPreview({ parts }) {
+  return (
+    <div
+      aria-live="polite"
+      className="mt-2 flex flex-wrap items-center gap-1.5 text-xs"
+    >
+      <span className="text-white/40">Adds</span>
+      {parts.map((p) => (
+        <span
+          key={p}
+          className="rounded-full bg-white/10 px-2 py-0.5 text-white/80 ring-1 ring-white/15"
+        >
+          {p}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function Overlay({ label, onClose, children }) {
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black/60 px-4 pt-[12vh] backdrop-blur-sm"
+    >
+      <div className="w-full max-w-lg overflow-hidden rounded-2xl bg-zinc-900/95 shadow-lg ring-1 ring-white/15">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// `commandsFor(query)` lists the commands for what was typed so far
+function CommandPalette({ commandsFor, onClose }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const results = rankCommands(commandsFor(query), query);
+  const current = Math.min(active, results.length - 1);
+
+  function run(cmd) {
+    onClose();
+    cmd.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+      return;
+    }
+    // Nothing to move through or run when no command matches
+    if (results.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((current + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(results[current]);
     }
   }
-  return items;
-}
 
-function normalizeDayItems(items) {
-  if (!Array.isArray(items)) return [];
-  return items
-    .filter((x) => x && typeof x === 'object')
-    .map((x) => ({
-      id: x.id || uid(),
-      text: String(x.text || '').trim(),
-      bucket: x.bucket || 'morning',
-      done: !!x.done,
-      createdAt: typeof x.createdAt === 'number' ? x.createdAt : Date.now(),
-      fromTemplate: !!x.fromTemplate,
-    }))
-    .filter((x) => x.text);
+  return (
+    <Overlay label="Command palette" onClose={onClose}>
+      <input
+        autoFocus
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={onKeyDown}
+        placeholder="Type a command, an activity or a date…"
+        aria-label="Command"
+        className="w-full border-b border-white/10 bg-transparent px-4 py-3 text-sm text-white outline-none placeholder:text-white/30"
+      />
+      {results.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-white/50">No matching command.</p>
+      ) : (
+        <ul role="listbox" className="max-h-80 overflow-y-auto py-1">
+          {results.map((c, i) => (
+            <li key={c.id} role="option" aria-selected={i === current}>
+              <button
+                type="button"
+                onClick={() => run(c)}
+                onMouseMove={() => i !== current && setActive(i)}
+                className={cls(
+                  'flex w-full items-center gap-3 px-4 py-2 text-left text-sm',
+                  i === current ? 'bg-white/10 text-white' : 'text-white/80'
+                )}
+              >
+                <span className="w-20 shrink-0 text-xs text-white/40">
+                  {c.group}
+                </span>
+                <span className="min-w-0 flex-1 truncate">{c.title}</span>
+                {c.hint && (
+                  <span className="shrink-0 text-xs text-white/40">
+                    {c.hint}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Overlay>
+  );
 }
 
-function pruneHistory(daysObj, keep = 7) {
-  const keys = Object.keys(daysObj || {}).sort((a, b) => (a < b ? 1 : -1));
-  const kept = {};
-  for (const k of keys.slice(0, keep)) kept[k] = daysObj[k];
-  return kept;
+function ShortcutHelp({ onClose }) {
+  return (
+    <Overlay label="Keyboard shortcuts" onClose={onClose}>
+      <div className="flex items-center justify-between border-b border-white/10 px-4 py-3">
+        <h2 className="text-sm font-semibold">Keyboard shortcuts</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+      </div>
+      <ul className="max-h-[60vh] space-y-1.5 overflow-y-auto px-4 py-3 text-sm">
+        {SHORTCUTS.map((s) => (
+          <li key={s.label} className="flex items-center justify-between gap-3">
+            <span className="text-white/70">{s.label}</span>
+            <span className="flex shrink-0 gap-1">
+              {s.keys.map((k) =>
+                k === '–' ? (
+                  <span key={k} className="text-white/40">
+                    –
+                  </span>
+                ) : (
+                  <kbd
+                    key={k}
+                    className="rounded-md bg-white/10 px-1.5 py-0.5 font-mono text-xs text-white/80 ring-1 ring-white/20"
+                  >
+                    {k}
+                  </kbd>
+                )
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="border-t border-white/10 px-4 py-3 text-xs text-white/40">
+        Single keys work while no text field has the focus; Ctrl+K works
+        everywhere (Cmd on macOS).
+      </p>
+    </Overlay>
+  );
 }
 
 export default function App() {
-  const [tab, setTab] = useState('today'); // today | templates | history
+  // today | templates | history | stats | settings
+  const [tab, setTab] = useState('today');
 
-  const [store, setStore] = useState(() => {
-    const s = loadStore();
-    return (
-      s || {
-        version: 2,
-        templates: { morning: [], noon: [], evening: [] },
-        days: {},
-      }
-    );
-  });
+  // Load report (what was migrated, dropped or unreadable); null while loading
+  const [boot, setBoot] = useState(null);
+  const [store, setStore] = useState(emptyStore);
+  const [saveStatus, setSaveStatus] = useState(null); // null | { reason }
+  const [undo, setUndo] = useState(emptyUndo);
+  const [toast, setToast] = useState(null); // null | { label, at }
+  const [loadNotice, setLoadNotice] = useState(null);
+  // A newer build is downloaded and waiting for a reload
+  const [updateReady, setUpdateReady] = useState(false);
 
-  const [dateKey, setDateKey] = useState(todayKey());
+  // The current day; the open day (dateKey) can also be a past one
+  const [today, setToday] = useState(() => todayKey());
+  const [dateKey, setDateKey] = useState(today);
   const [items, setItems] = useState([]);
+  // A date without a record, shown filled from its routine: { dateKey, items }.
+  // It is stored on the first change, so browsing adds no empty days.
+  const [unsaved, setUnsaved] = useState(null);
 
   // Inputs (Today)
   const [text, setText] = useState('');
-  const [bucket, setBucket] = useState('morning');
+  const [bucket, setBucket] = useState(DEFAULT_BUCKETS[0].id);
+  const [time, setTime] = useState('');
+  const [duration, setDuration] = useState('');
   const [showDone, setShowDone] = useState(true);
+  const [tagFilter, setTagFilter] = useState([]); // any of these tags
+  // Ticks once a second while a timer runs
+  const [now, setNow] = useState(Date.now);
+  const [showTimeline, setShowTimeline] = useState(false);
+  // Inline edit of an item or template entry: { kind, id, text, bucket }
+  const [editing, setEditing] = useState(null);
+  // Drag in progress: { kind, id, bucket, beforeId } where bucket/beforeId
+  // say where it would land
+  const [drag, setDrag] = useState(null);
+  // Item or template entry whose notes/subtasks panel is open
+  const [expanded, setExpanded] = useState(null);
+  // Keyboard: item picked with j/k, and the open overlay
+  const [selected, setSelected] = useState(null);
+  const [overlay, setOverlay] = useState(null); // null | 'palette' | 'help'
   const inputRef = useRef(null);
+  // Reminder tags already shown this session
+  const firedRef = useRef(new Set());
+  const [reminderNotice, setReminderNotice] = useState('');
+
+  // Remote sync (Settings): the saved sync state, and the form
+  const [remote, setRemote] = useState(() => loadSyncState());
+  const [syncEndpoint, setSyncEndpoint] = useState(() => remote.endpoint);
+  const [syncToken, setSyncToken] = useState(() => remote.token);
+  const [syncBusy, setSyncBusy] = useState(false);
+
+  // Import preview (History): null | { fileName, incoming, dropped, mode, routines } | { error }
+  const [importState, setImportState] = useState(null);
+
+  // Heatmap month (History), 'YYYY-MM'
+  const [historyTimeline, setHistoryTimeline] = useState(null); // dateKey
+  const [search, setSearch] = useState('');
+  const [searchTag, setSearchTag] = useState('');
+  const [heatMonth, setHeatMonth] = useState(() => todayKey().slice(0, 7));
 
-  // Inputs (Templates)
+  // Range export (History)
+  const [exportFrom, setExportFrom] = useState(() => addDays(todayKey(), -6));
+  const [exportTo, setExportTo] = useState(todayKey);
+
+  // New bucket name (Templates)
+  const [bucketName, setBucketName] = useState('');
+
+  // Goals form
+  const [goalActivity, setGoalActivity] = useState('');
+  const [goalTarget, setGoalTarget] = useState('3');
+  const [goalUnit, setGoalUnit] = useState('times');
+  const [goalPeriod, setGoalPeriod] = useState('week');
+
+  // Stats window in days; null = everything stored
+  const [statsDays, setStatsDays] = useState(30);
+
+  // Inputs (Templates); tplRoutineId null = the routine today uses
+  const [tplRoutineId, setTplRoutineId] = useState(null);
+  const [routineName, setRoutineName] = useState('');
   const [tplText, setTplText] = useState('');
-  const [tplBucket, setTplBucket] = useState('morning');
+  const [tplBucket, setTplBucket] = useState(DEFAULT_BUCKETS[0].id);
+  const [tplTime, setTplTime] = useState('');
+  const [tplDuration, setTplDuration] = useState('');
+  const [tplKind, setTplKind] = useState('check');
+  const [tplTarget, setTplTarget] = useState('');
+  const [tplUnit, setTplUnit] = useState('');
+  // Fields for every repeat type; makeTemplate keeps only the chosen one's
+  const [tplRepeat, setTplRepeat] = useState(() => ({
+    type: 'daily',
+    days: [1, 2, 3, 4, 5],
+    every: 2,
+    start: todayKey(),
+    day: 1,
+  }));
 
-  // Initial day load
+  // Initial load + day
   useEffect(() => {
-    const tk = todayKey();
-    setDateKey(tk);
+    let cancelled = false;
+    loadStore().then((report) => {
+      if (cancelled) return;
+      configureClock(report.store.settings);
+      const tk = todayKey();
+      const next = startDay(report.store, tk);
 
-    setStore((prev) => {
-      const next = { ...prev, days: { ...(prev.days || {}) } };
-      if (!next.days[tk])
-        next.days[tk] = makeItemsFromTemplates(next.templates);
-      next.days = pruneHistory(next.days, 7);
-      saveStore(next);
-      return next;
+      setBoot(report);
+      if (report.error || report.dropped.length > 0) setLoadNotice(report);
+      setStore(pruneStore(next));
+      setToday(tk);
+      setDateKey(tk);
     });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   // Keep items in sync with store + dateKey
   useEffect(() => {
-    setItems(normalizeDayItems(store.days?.[dateKey]));
-    // only when you switch day/history
+    const stored = store.days?.[dateKey];
+    if (boot && !stored) {
+      const seeded = makeItemsForDate(store, dateKey);
+      setUnsaved({ dateKey, items: seeded });
+      setItems(seeded);
+      return;
+    }
+    setItems(normalizeDayItems(stored));
+    // only when you switch day/history (or the store finishes loading)
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [dateKey]);
+  }, [dateKey, boot]);
 
   // Persist current day items back into store
   useEffect(() => {
+    if (!boot || (unsaved?.dateKey === dateKey && unsaved.items === items)) {
+      return;
+    }
+    setStore((prev) =>
+      pruneStore({ ...prev, days: { ...(prev.days || {}), [dateKey]: items } })
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [items]);
+
+  // Archive goal results for periods that are over, and keep the archived
+  // ones in step with days that change later (see goals.js)
+  useEffect(() => {
+    if (!boot || boot.readOnly) return;
     setStore((prev) => {
-      const next = {
-        ...prev,
-        days: pruneHistory({ ...(prev.days || {}), [dateKey]: items }, 7),
-      };
-      saveStore(next);
-      return next;
+      const goalResults = archiveResults(
+        prev.goals,
+        prev.goalResults,
+        prev.days,
+        today,
+        oldestOpenable(today, prev.settings.retentionDays)
+      );
+      return goalResults === prev.goalResults ? prev : { ...prev, goalResults };
+    });
+  }, [boot, today, store.goals, store.days]);
+
+  // Write every store change through; surface failures instead of dropping them
+  useEffect(() => {
+    if (!boot || boot.readOnly) return;
+    let cancelled = false;
+    saveStore(store, boot.backend).then((res) => {
+      if (!cancelled) setSaveStatus(res.ok ? null : res);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [boot, store]);
+
+  // Other tabs: what changes here is published as a patch, and their patches
+  // are merged in item by item. syncedRef is the store as the other tabs last
+  // saw it; their patches go into it too, so only local changes are sent on.
+  // They also go into the undo snapshots, so an undo does not revert them.
+  // remoteBaseRef is the same for the sync server, which also counts what
+  // was downloaded from it: other tabs queue their own changes.
+  const syncedRef = useRef(null);
+  const remoteBaseRef = useRef(null);
+  const tabSyncRef = useRef(null);
+  useEffect(() => {
+    if (!boot || boot.readOnly) return;
+    const sync = openTabSync((patch) => {
+      if (syncedRef.current) {
+        syncedRef.current = applyPatch(syncedRef.current, patch);
+      }
+      if (remoteBaseRef.current) {
+        remoteBaseRef.current = applyPatch(remoteBaseRef.current, patch);
+      }
+      setStore((prev) => applyPatch(prev, patch));
+      setUndo((u) => rebaseUndo(u, (snap) => applyPatch(snap, patch)));
+      if (patch.days && dateKey in patch.days) {
+        const changes = patch.days[dateKey];
+        // syncedRef now holds the log with this patch's events merged in
+        const events = syncedRef.current?.logs?.[dateKey];
+        setItems((prev) =>
+          changes ? applyDayChanges(prev, withoutDeleted(changes, events)) : []
+        );
+      }
     });
+    tabSyncRef.current = sync;
+    return () => {
+      sync.close();
+      tabSyncRef.current = null;
+    };
+  }, [boot, dateKey]);
+
+  useEffect(() => {
+    if (!boot || boot.readOnly) return;
+    const before = syncedRef.current;
+    syncedRef.current = store;
+    const patch = before && storePatch(before, store);
+    if (patch) tabSyncRef.current?.publish(patch);
+
+    const remoteBefore = remoteBaseRef.current;
+    remoteBaseRef.current = store;
+    const local = remoteBefore && storePatch(remoteBefore, store);
+    if (local && queueChanges(patchRecords(local, store)))
+      setRemote(loadSyncState());
+  }, [boot, store]);
+
+  // Sync server: a round every minute, when the network or the app comes
+  // back, and shortly after a change was queued
+  useEffect(() => {
+    if (!boot || boot.readOnly || !remote.endpoint) return;
+    function onVisible() {
+      if (document.visibilityState === 'visible') runSync();
+    }
+    const t = setInterval(runSync, SYNC_INTERVAL);
+    window.addEventListener('online', runSync);
+    document.addEventListener('visibilitychange', onVisible);
+    runSync();
+    return () => {
+      clearInterval(t);
+      window.removeEventListener('online', runSync);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [items]);
+  }, [boot, remote.endpoint, remote.token, dateKey]);
 
-  // Auto-advance day if midnight passes while app stays open
+  const queued = remote.queue.length;
   useEffect(() => {
-    const t = setInterval(() => {
-      const tk = todayKey();
-      setDateKey((prev) => {
-        if (prev !== tk) {
-          setStore((s) => {
-            const next = { ...s, days: { ...(s.days || {}) } };
-            if (!next.days[tk])
-              next.days[tk] = makeItemsFromTemplates(next.templates);
-            next.days = pruneHistory(next.days, 7);
-            saveStore(next);
-            return next;
-          });
-          setTab('today');
-          return tk;
+    if (!boot || !remote.endpoint || queued === 0) return;
+    const t = setTimeout(runSync, 2000);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [queued]);
+
+  // Reminders for today's timed items
+  useEffect(() => {
+    if (!boot || !store.settings?.reminders || !remindersSupported()) return;
+    if (Notification.permission !== 'granted') return;
+    let stopped = false;
+    let cancel = () => {};
+    registerServiceWorker().then((registration) => {
+      if (!registration || stopped) return;
+      cancel = scheduleReminders(
+        registration,
+        upcomingReminders(normalizeDayItems(store.days?.[today]), today),
+        firedRef.current
+      );
+    });
+    return () => {
+      stopped = true;
+      cancel();
+    };
+  }, [boot, store.settings?.reminders, store.days, today]);
+
+  // "Mark done" / "Snooze" clicked on a reminder notification
+  useEffect(() => {
+    if (!remindersSupported()) return;
+    function onMessage(e) {
+      const {
+        type,
+        dateKey: dk,
+        itemId,
+        text: itemText,
+        time: at,
+      } = e.data || {};
+      if (type === 'reminder:done') {
+        // Item ids are unique across days, so this only touches one item
+        const mark = (list) =>
+          stampCompletion(
+            list,
+            list.map((it) =>
+              it.id === itemId && !it.done ? setDone(it, true) : it
+            )
+          );
+        setItems(mark);
+        setStore((prev) => {
+          const list = prev.days?.[dk];
+          if (!list) return prev;
+          const next = mark(list);
+          return {
+            ...prev,
+            days: { ...prev.days, [dk]: next },
+            logs: appendEvents(prev.logs, dk, diffEvents(list, next)),
+          };
+        });
+      } else if (type === 'reminder:snooze') {
+        navigator.serviceWorker.ready.then((registration) =>
+          snoozeReminder(registration, {
+            tag: reminderTag(dk, itemId),
+            dateKey: dk,
+            item: { id: itemId, text: itemText, time: at },
+          })
+        );
+      }
+    }
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    return () =>
+      navigator.serviceWorker.removeEventListener('message', onMessage);
+  }, []);
+
+  // Undo toast goes away on its own
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y redoes as well
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLast();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLast();
+      }
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  // Ctrl+K anywhere; the single-key shortcuts (commands.js) only while no
+  // field has the focus
+  useEffect(() => {
+    function onKeyDown(e) {
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setOverlay((o) => (o === 'palette' ? null : 'palette'));
+        return;
+      }
+      const el = e.target;
+      if (mod || e.altKey || isTextField(el) || el?.tagName === 'SELECT') {
+        return;
+      }
+      if (overlay) {
+        if (e.key === 'Escape' || (e.key === '?' && overlay === 'help')) {
+          setOverlay(null);
         }
-        return prev;
-      });
-    }, 30_000);
+        return;
+      }
+      // A focused button already reacts to Space and Enter
+      if (e.key === ' ' && el?.tagName === 'BUTTON') return;
+      if (shortcut(e.key)) e.preventDefault();
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  useEffect(() => {
+    setSelected(null);
+  }, [dateKey, tab]);
+
+  useEffect(() => {
+    if (!selected) return;
+    const el = [...document.querySelectorAll('[data-item-id]')].find(
+      (x) => x.dataset.itemId === selected
+    );
+    el?.scrollIntoView?.({ block: 'nearest' });
+  }, [selected]);
+
+  const timerRunning = items.some((it) => it.runningSince);
+  useEffect(() => {
+    if (!timerRunning) return;
+    setNow(Date.now());
+    const t = setInterval(() => setNow(Date.now()), 1000);
     return () => clearInterval(t);
+  }, [timerRunning]);
+
+  // A running timer completes its item once it reaches the target
+  useEffect(() => {
+    const due = new Set(timersDue(items, now).map((it) => it.id));
+    if (due.size === 0) return;
+    changeItems((prev) =>
+      prev.map((it) => (due.has(it.id) ? finishTimer(it) : it))
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [now]);
+
+  // Offline shell: look for a newer build now and whenever the app returns
+  // to the foreground
+  useEffect(() => {
+    if (!workerSupported()) return;
+    function onMessage(e) {
+      if (e.data?.type === 'update:ready') setUpdateReady(true);
+      if (e.data?.type === 'update:applied') window.location.reload();
+    }
+    function onVisible() {
+      if (document.visibilityState === 'visible') checkForUpdate();
+    }
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    document.addEventListener('visibilitychange', onVisible);
+    checkForUpdate();
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', onMessage);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
   }, []);
 
+  // Moves on to a new current day: it is seeded, and the open day follows
+  // along if it was today. A day opened from history stays open.
+  function followToday(tk) {
+    setStore((s) => pruneStore(startDay(s, tk)));
+    setDateKey((prev) => (prev === today ? tk : prev));
+    setToday(tk);
+  }
+
+  // A planned day that was already open when it became today picks up
+  // what followToday carried into it
+  useEffect(() => {
+    if (boot && dateKey === today && store.days?.[today]) {
+      setItems(normalizeDayItems(store.days[today]));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [today]);
+
+  // Auto-advance when the day ends while the app stays open. Timers don't
+  // run while the installed app is suspended, so also check on resume. Only
+  // forward: a clock that goes back (travelling west with the device's
+  // zone) keeps the current day until it ends there too.
+  useEffect(() => {
+    if (!boot) return;
+    function rollOver() {
+      const tk = todayKey();
+      if (tk > today) followToday(tk);
+    }
+    function onResume() {
+      if (document.visibilityState === 'visible') rollOver();
+    }
+    const t = setInterval(rollOver, 30_000);
+    document.addEventListener('visibilitychange', onResume);
+    window.addEventListener('pageshow', onResume);
+    return () => {
+      clearInterval(t);
+      document.removeEventListener('visibilitychange', onResume);
+      window.removeEventListener('pageshow', onResume);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [boot, today]);
+
+  // A new day start or time zone (here or from another tab or device) can
+  // change which day it is, in either direction
+  const { dayStartHour, timeZone } = clockSettings(store.settings);
+  useEffect(() => {
+    configureClock({ dayStartHour, timeZone });
+    const tk = todayKey();
+    if (boot && tk !== today) followToday(tk);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [dayStartHour, timeZone]);
+
+  const buckets = store.buckets || DEFAULT_BUCKETS;
+  // Falls back to the first bucket when the chosen one was deleted
+  const pickBucket = (id) =>
+    buckets.some((b) => b.id === id) ? id : buckets[0].id;
+
   const grouped = useMemo(() => {
-    const map = { morning: [], noon: [], evening: [] };
+    const map = {};
+    for (const b of buckets) map[b.id] = [];
     for (const it of items) {
-      if (!map[it.bucket]) map[it.bucket] = [];
-      map[it.bucket].push(it);
-    }
-    for (const k of Object.keys(map)) {
-      map[k].sort((a, b) => {
-        if (a.done !== b.done) return a.done ? 1 : -1;
-        return (b.createdAt || 0) - (a.createdAt || 0);
-      });
+      const k = map[it.bucket] ? it.bucket : buckets[0].id;
+      map[k].push(it);
     }
+    for (const k of Object.keys(map)) map[k].sort(compareItems);
     return map;
-  }, [items]);
+  }, [items, buckets]);
+
+  const carried = items.filter((it) => it.carryPending);
+  const dayLog = store.logs?.[dateKey] || [];
+  const dayTags = [...new Set(items.flatMap((it) => it.tags || []))].sort();
+  // Selected tags that no item of the open day has are ignored
+  const activeTags = tagFilter.filter((t) => dayTags.includes(t));
+  // What the Today grid shows, per bucket
+  const visibleByBucket = {};
+  for (const b of buckets) {
+    visibleByBucket[b.id] = (grouped[b.id] || []).filter(
+      (x) => (showDone || !x.done) && hasAnyTag(x, activeTags)
+    );
+  }
 
   const total = items.length;
   const doneCount = items.filter((x) => x.done).length;
-  const progress = total === 0 ? 0 : Math.round((doneCount / total) * 100);
+  const progress = progressRate(items, now);
 
-  function addItem(e) {
-    e?.preventDefault?.();
-    const trimmed = text.trim();
-    if (!trimmed) return;
+  // Notes + checklist panel under an item (`x.done` present) or a template
+  // entry. `update(label, fn)` applies a change to it.
+  function renderDetails(x, update) {
+    const checkable = 'done' in x;
+    return (
+      <div className="basis-full space-y-2 border-t border-white/10 pt-2">
+        {x.notes && <NotesView text={x.notes} />}
+        {x.subtasks && (
+          <ul className="space-y-1">
+            {x.subtasks.map((sub) => (
+              <li key={sub.id} className="flex items-center gap-2 text-sm">
+                {checkable ? (
+                  <label className="flex flex-1 items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={sub.done}
+                      onChange={() =>
+                        update(`Checked “${sub.text}”`, (y) =>
+                          toggleSubtask(y, sub.id)
+                        )
+                      }
+                      className="h-4 w-4 rounded border-white/20 bg-black/40"
+                    />
+                    <span
+                      className={cls(sub.done && 'text-white/40 line-through')}
+                    >
+                      {sub.text}
+                    </span>
+                  </label>
+                ) : (
+                  <span className="flex-1 text-white/80">• {sub.text}</span>
+                )}
+                <button
+                  type="button"
+                  onClick={() =>
+                    update(`Removed subtask “${sub.text}”`, (y) =>
+                      removeSubtask(y, sub.id)
+                    )
+                  }
+                  className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                  aria-label="Remove subtask"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            const field = e.target.elements.subtask;
+            if (!field.value.trim()) return;
+            const text = field.value;
+            update('Added subtask', (y) => addSubtask(y, text));
+            field.value = '';
+          }}
+        >
+          <input
+            name="subtask"
+            placeholder="Add a subtask…"
+            aria-label="New subtask"
+            className={input}
+          />
+        </form>
+        <textarea
+          key={`${x.id}:${x.notes || ''}`}
+          defaultValue={x.notes || ''}
+          onBlur={(e) => {
+            const notes = e.target.value;
+            if (notes.trim() !== (x.notes || '')) {
+              update('Edited notes', (y) => setNotes(y, notes));
+            }
+          }}
+          rows={3}
+          placeholder="Notes: - lists, **bold**, *italic*, `code`, links"
+          aria-label="Notes"
+          className={input}
+        />
+      </div>
+    );
+  }
 
-    const newItem = {
-      id: uid(),
-      text: trimmed,
-      bucket,
-      done: false,
-      createdAt: Date.now(),
-      fromTemplate: false,
-    };
+  // Inline editing
+  function startEdit(kind, x) {
+    setEditing({ kind, id: x.id, text: withTagText(x), bucket: x.bucket });
+  }
 
-    setItems((prev) => [newItem, ...prev]);
-    setText('');
-    inputRef.current?.focus?.();
+  function saveEdit(e, fromBucket) {
+    e.preventDefault();
+    if (editing.kind === 'item') {
+      editItem(editing.id, editing.text, editing.bucket);
+    } else {
+      editTemplateItem(editing.id, editing.text, fromBucket, editing.bucket);
+    }
+    setEditing(null);
   }
 
-  function toggleDone(id) {
-    setItems((prev) =>
-      prev.map((it) => (it.id === id ? { ...it, done: !it.done } : it))
-    );
+  // Drag-and-drop, for day items ('item') and template entries ('template').
+  // A drop on a row lands before that row, a drop on the bucket at its end.
+  function startDrag(e, kind, id) {
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag that carries data
+    e.dataTransfer.setData('text/plain', id);
+    setDrag({ kind, id, bucket: null, beforeId: null });
   }
 
-  function removeItem(id) {
-    setItems((prev) => prev.filter((it) => it.id !== id));
+  function dragOver(e, kind, bucketId, beforeId = null) {
+    if (drag?.kind !== kind) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (drag.bucket !== bucketId || drag.beforeId !== beforeId) {
+      setDrag({ ...drag, bucket: bucketId, beforeId });
+    }
   }
 
-  function clearCompleted() {
-    setItems((prev) => prev.filter((it) => !it.done));
+  function dropOn(e, kind) {
+    if (drag?.kind !== kind) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (drag.bucket && drag.beforeId !== drag.id) {
+      if (kind === 'item') moveItemTo(drag.id, drag.bucket, drag.beforeId);
+      else moveTemplateTo(drag.id, drag.bucket, drag.beforeId);
+    }
+    setDrag(null);
   }
 
-  function resetToday() {
-    const tk = todayKey();
-    setDateKey(tk);
-    setItems(makeItemsFromTemplates(store.templates));
+  // Undo/redo
+  function snapshot() {
+    const days = { ...store.days, [dateKey]: items };
+    // An unsaved day goes back to not being stored
+    if (unsaved?.dateKey === dateKey && unsaved.items === items) {
+      delete days[dateKey];
+    }
+    return { store: { ...store, days }, dateKey };
   }
 
-  function markAllDone(bucketId) {
-    setItems((prev) =>
-      prev.map((it) => (it.bucket === bucketId ? { ...it, done: true } : it))
-    );
+  const syncingRef = useRef(false);
+  async function runSync() {
+    const state = loadSyncState();
+    if (!state.endpoint || syncingRef.current || !boot || boot.readOnly) return;
+    syncingRef.current = true;
+    setSyncBusy(true);
+    try {
+      const records = await syncRound(
+        createRestAdapter(state),
+        remoteBaseRef.current || store
+      );
+      if (records.length > 0) applyRemote(records);
+    } catch (err) {
+      recordSyncError(err);
+    } finally {
+      syncingRef.current = false;
+      setSyncBusy(false);
+      setRemote(loadSyncState());
+    }
   }
 
-  // Templates actions
-  function addTemplateItem(e) {
-    e?.preventDefault?.();
-    const trimmed = tplText.trim();
-    if (!trimmed) return;
+  // Downloaded records go into the store and the open day; the other tabs
+  // hear about them through tab sync, but they are not queued back
+  function applyRemote(records) {
+    if (remoteBaseRef.current) {
+      remoteBaseRef.current = applyRecords(remoteBaseRef.current, records);
+    }
+    setStore((prev) => pruneStore(applyRecords(prev, records)));
+    setUndo((u) => rebaseUndo(u, (snap) => applyRecords(snap, records)));
+    const changes = dayRecordChanges(records, dateKey);
+    if (changes) setItems((prev) => applyDayChanges(prev, changes));
+  }
 
-    setStore((prev) => {
-      const next = {
-        ...prev,
-        templates: {
-          ...prev.templates,
-          [tplBucket]: [trimmed, ...(prev.templates?.[tplBucket] || [])],
-        },
-      };
-      saveStore(next);
-      return next;
+  function saveSyncSettings(e) {
+    e.preventDefault();
+    const endpoint = syncEndpoint.trim();
+    if (!endpoint) return;
+    setRemote(configureSync({ endpoint, token: syncToken.trim() }));
+  }
+
+  function turnOffSync() {
+    setRemote(disableSync());
+    setSyncEndpoint('');
+    setSyncToken('');
+  }
+
+  function reloadIntoUpdate() {
+    applyUpdate().then((sent) => {
+      if (!sent) window.location.reload();
     });
+  }
 
-    setTplText('');
+  // Call before every change. `toast` offers an undo right away (for the
+  // one-click destructive actions); `key` merges repeated edits of one field.
+  // `days` lists the days the change touches when that is not (only) the
+  // open one.
+  function remember(label, { toast: offer = false, key, days } = {}) {
+    setUndo((u) =>
+      pushUndo(u, { ...snapshot(), label, key, ...(days ? { days } : {}) })
+    );
+    setToast(offer ? { label, at: Date.now() } : null);
   }
 
-  function removeTemplateItem(bucketId, idx) {
+  // Puts back the days the change touched, and the buckets, routines and
+  // goals; other days stay as they are now, so a day that began since (and
+  // what was carried into it) is kept. Preferences (retention, carry-over,
+  // reminders) and the activity log are not part of the history: the log
+  // instead records what the undo changed. Snapshots are rebased on what
+  // other tabs and the sync server sent since, so only changes made here
+  // are taken back. The open day stays open.
+  function restore(entry, how) {
+    const changes = (entry.days || [entry.dateKey]).map((dk) => {
+      const open = dk === dateKey;
+      const before = open ? items : normalizeDayItems(store.days?.[dk]);
+      // Undoing the first change of a planned or backfilled day un-stores it
+      const stored = entry.store.days?.[dk];
+      const after = stored
+        ? normalizeDayItems(stored)
+        : open
+        ? makeItemsForDate(entry.store, dk)
+        : [];
+      const events = diffEvents(before, after).map((e) => ({
+        ...e,
+        detail: e.detail ? `${e.detail}, ${how}` : how,
+      }));
+      return { dk, stored: !!stored, after, events };
+    });
     setStore((prev) => {
-      const list = [...(prev.templates?.[bucketId] || [])];
-      list.splice(idx, 1);
-      const next = {
+      const days = { ...prev.days };
+      let logs = prev.logs;
+      for (const c of changes) {
+        if (c.stored) days[c.dk] = c.after;
+        else delete days[c.dk];
+        logs = appendEvents(logs, c.dk, c.events);
+      }
+      return {
         ...prev,
-        templates: { ...prev.templates, [bucketId]: list },
+        settings: {
+          ...prev.settings,
+          routineByWeekday: entry.store.settings.routineByWeekday,
+        },
+        buckets: entry.store.buckets,
+        routines: entry.store.routines,
+        goals: entry.store.goals,
+        goalResults: entry.store.goalResults,
+        days,
+        logs,
       };
-      saveStore(next);
-      return next;
     });
+    const open = changes.find((c) => c.dk === dateKey);
+    if (open) {
+      setItems(open.after);
+      if (!open.stored) setUnsaved({ dateKey, items: open.after });
+    }
   }
 
-  function applyTemplatesToToday() {
-    const tk = todayKey();
-    setDateKey(tk);
-    setItems(makeItemsFromTemplates(store.templates));
-    setTab('today');
+  function undoLast() {
+    const entry = undo.past[undo.past.length - 1];
+    if (!entry) return;
+    setUndo((u) => stepBack(u, snapshot()));
+    setToast(null);
+    restore(entry, 'undo');
   }
 
-  // History
-  const historyKeys = useMemo(
-    () => Object.keys(store.days || {}).sort((a, b) => (a < b ? 1 : -1)),
-    [store.days]
-  );
+  function redoLast() {
+    const entry = undo.future[undo.future.length - 1];
+    if (!entry) return;
+    setUndo((u) => stepForward(u, snapshot()));
+    setToast(null);
+    restore(entry, 'redo');
+  }
 
-  function openHistoryDay(k) {
-    setDateKey(k);
-    setTab('today');
+  function logEvents(dk, events) {
+    setStore((prev) => ({
+      ...prev,
+      logs: appendEvents(prev.logs, dk, events),
+    }));
   }
 
-  const isToday = dateKey === todayKey();
+  // Every change to the open day goes through here so it lands in the day's
+  // log and completion times get stamped. Re-seeding from a routine logs a
+  // single "reset" event instead of one per item.
+  function changeItems(fn, resetFrom) {
+    const next = stampCompletion(items, fn(items));
+    setItems(next);
+    logEvents(
+      dateKey,
+      resetFrom
+        ? [makeEvent('reset', { text: resetFrom.name })]
+        : diffEvents(items, next)
+    );
+  }
 
-  const card =
-    'rounded-2xl bg-slate-950/60 backdrop-blur p-4 shadow-[0_10px_30px_rgba(0,0,0,0.6)] ring-1 ring-white/10';
+  function addItem(e) {
+    e?.preventDefault?.();
+    if (!quick || !addActivity(quick)) return;
+    setText('');
+    setTime('');
+    setDuration('');
+    inputRef.current?.focus?.();
+  }
+
+  // `entry` is { text, tags, bucket, date?, time?, duration?, target? },
+  // see quickEntry(); false when nothing was added
+  function addActivity(entry) {
+    const dk = entry.date || dateKey;
+    if (!entry.text || (oldestDay && dk < oldestDay)) return false;
+    const newItem = {
+      id: uid(),
+      text: entry.text,
+      bucket: pickBucket(entry.bucket),
+      done: false,
+      createdAt: Date.now(),
+      fromTemplate: false,
+      ...scheduleFields(entry),
+      ...measureFields({ kind: 'count', target: entry.target }),
+      ...tagFields(entry),
+    };
+
+    if (dk === dateKey) {
+      remember(`Added “${entry.text}”`);
+      changeItems((prev) => [newItem, ...prev]);
+      return true;
+    }
+    // Another day is changed in the store, seeded first if it has no record
+    remember(`Added “${entry.text}” to ${dk}`, { toast: true, days: [dk] });
+    setStore((prev) => {
+      const dayItems = prev.days?.[dk]
+        ? normalizeDayItems(prev.days[dk])
+        : makeItemsForDate(prev, dk);
+      return pruneStore({
+        ...prev,
+        days: { ...prev.days, [dk]: [newItem, ...dayItems] },
+      });
+    });
+    logEvents(dk, [makeEvent('added', newItem)]);
+    return true;
+  }
+
+  function toggleDone(id) {
+    const item = items.find((it) => it.id === id);
+    if (!item) return;
+    remember(
+      item.done ? `Marked “${item.text}” not done` : `Completed “${item.text}”`
+    );
+    changeItems((prev) =>
+      prev.map((it) => (it.id === id ? setDone(it, !it.done) : it))
+    );
+  }
+
+  // Notes and subtasks go through these; `fn` maps the item/entry
+  function changeItem(id, label, fn) {
+    if (!items.some((it) => it.id === id)) return;
+    remember(label);
+    changeItems((prev) => prev.map((it) => (it.id === id ? fn(it) : it)));
+  }
+
+  function changeTemplate(bucketId, id, label, fn) {
+    remember(label);
+    updateRoutine(tplRoutine.id, (r) => ({
+      ...r,
+      templates: {
+        ...r.templates,
+        [bucketId]: (r.templates?.[bucketId] || []).map((t) =>
+          t.id === id ? fn(t) : t
+        ),
+      },
+    }));
+  }
+
+  function bumpCount(id, delta) {
+    const item = items.find((it) => it.id === id);
+    if (!item) return;
+    remember(`Counted “${item.text}”`, { key: `count:${id}` });
+    changeItems((prev) =>
+      prev.map((it) => (it.id === id ? addCount(it, delta) : it))
+    );
+  }
+
+  function toggleTimer(id) {
+    const item = items.find((it) => it.id === id);
+    if (!item) return;
+    remember(
+      item.runningSince ? `Stopped “${item.text}”` : `Started “${item.text}”`
+    );
+    changeItems((prev) =>
+      prev.map((it) =>
+        it.id !== id ? it : it.runningSince ? stopTimer(it) : startTimer(it)
+      )
+    );
+  }
+
+  // `text` may carry #tags, which replace the item's tags
+  function editItem(id, text, bucketId) {
+    const item = items.find((it) => it.id === id);
+    const { text: trimmed, tags } = extractTags(text);
+    if (!item || !trimmed) return;
+    if (withTagText(item) === text.trim() && bucketId === item.bucket) return;
+    remember(`Edited “${item.text}”`);
+    changeItems((prev) => {
+      const moved =
+        bucketId === item.bucket ? prev : moveItem(prev, id, bucketId);
+      return moved.map((it) => {
+        if (it.id !== id) return it;
+        const { tags: oldTags, ...rest } = it;
+        return { ...rest, text: trimmed, ...tagFields({ tags }) };
+      });
+    });
+  }
+
+  function moveItemTo(id, bucketId, beforeId) {
+    const item = items.find((it) => it.id === id);
+    if (!item) return;
+    remember(`Moved “${item.text}”`);
+    changeItems((prev) => moveItem(prev, id, bucketId, beforeId));
+  }
+
+  function removeItem(id) {
+    const item = items.find((it) => it.id === id);
+    if (!item) return;
+    remember(`Deleted “${item.text}”`, { toast: true });
+    changeItems((prev) => prev.filter((it) => it.id !== id));
+  }
+
+  function clearCompleted() {
+    remember('Cleared completed', { toast: true });
+    changeItems((prev) => prev.filter((it) => !it.done));
+  }
+
+  function resetToday() {
+    remember('Reset today', { toast: true });
+    const tk = today;
+    setDateKey(tk);
+    setItems(makeItemsForDate(store, tk));
+    logEvents(tk, [
+      makeEvent('reset', { text: routineForDate(store, tk)?.name }),
+    ]);
+  }
+
+  // Re-seed the open day from another routine; manual items stay
+  function switchRoutine(routineId) {
+    const routine = store.routines.find((r) => r.id === routineId);
+    if (!routine) return;
+    remember(`Switched to “${routine.name}”`, { toast: true });
+    changeItems((prev) => reseedItems(prev, routine, dateKey), routine);
+  }
+
+  // Carry-over review
+  function keepCarried(id) {
+    remember('Kept carried items');
+    setItems((prev) =>
+      prev.map((it) =>
+        it.carryPending && (!id || it.id === id)
+          ? { ...it, carryPending: false }
+          : it
+      )
+    );
+  }
+
+  function dismissCarried(id) {
+    remember('Dismissed carried items', { toast: true });
+    changeItems((prev) =>
+      prev.filter((it) => !(it.carryPending && (!id || it.id === id)))
+    );
+  }
+
+  function setReminders(on) {
+    if (!on) {
+      setReminderNotice('');
+      setStore((prev) => ({
+        ...prev,
+        settings: { ...prev.settings, reminders: false },
+      }));
+      return;
+    }
+    requestReminderPermission().then((permission) => {
+      if (permission !== 'granted') {
+        setReminderNotice(
+          permission === 'unsupported'
+            ? 'This browser cannot show reminders.'
+            : 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.'
+        );
+        return;
+      }
+      setReminderNotice('');
+      setStore((prev) => ({
+        ...prev,
+        settings: { ...prev.settings, reminders: true },
+      }));
+    });
+  }
+
+  // { dayStartHour } or { timeZone }; the effect above follows the new day
+  function setClock(change) {
+    setStore((prev) => ({
+      ...prev,
+      settings: { ...prev.settings, ...change },
+    }));
+  }
+
+  function setCarryOver(carryOver) {
+    setStore((prev) => ({
+      ...prev,
+      settings: { ...prev.settings, carryOver },
+    }));
+  }
+
+  function markAllDone(bucketId) {
+    remember(`Marked all ${bucketLabel(buckets, bucketId)} done`, {
+      toast: true,
+    });
+    changeItems((prev) =>
+      prev.map((it) =>
+        it.bucket === bucketId && !it.done ? setDone(it, true) : it
+      )
+    );
+  }
+
+  function addGoal(e) {
+    e.preventDefault();
+    const goal = makeGoal(
+      {
+        activity: goalActivity,
+        target: goalTarget,
+        unit: goalUnit,
+        period: goalPeriod,
+      },
+      today
+    );
+    if (!goal) return;
+    remember(`Added goal “${goal.activity}”`);
+    setStore((prev) => ({ ...prev, goals: [...prev.goals, goal] }));
+    setGoalActivity('');
+  }
+
+  // Its archived results stay in History
+  function removeGoal(id) {
+    const goal = store.goals.find((g) => g.id === id);
+    if (!goal) return;
+    remember(`Removed goal “${goal.activity}”`, { toast: true });
+    setStore((prev) => ({
+      ...prev,
+      goals: prev.goals.filter((g) => g.id !== id),
+    }));
+  }
+
+  // Templates actions
+  function updateRoutine(routineId, fn) {
+    setStore((prev) => ({
+      ...prev,
+      routines: prev.routines.map((r) => (r.id === routineId ? fn(r) : r)),
+    }));
+  }
+
+  function addTemplateItem(e) {
+    e?.preventDefault?.();
+    const entry = tplQuick;
+    if (!entry?.text) return;
+
+    remember(`Added template “${entry.text}”`);
+    const bucketId = pickBucket(entry.bucket);
+    updateRoutine(tplRoutine.id, (r) => ({
+      ...r,
+      templates: {
+        ...r.templates,
+        [bucketId]: [
+          {
+            ...makeTemplate(entry.text, tplRepeat, entry, {
+              kind: entry.kind,
+              target: entry.target,
+              unit: tplUnit,
+            }),
+            ...tagFields(entry),
+          },
+          ...(r.templates?.[bucketId] || []),
+        ],
+      },
+    }));
+
+    setTplText('');
+    setTplTime('');
+    setTplDuration('');
+    setTplTarget('');
+    setTplUnit('');
+  }
+
+  function editTemplateItem(id, text, fromBucket, toBucket) {
+    const entry = tplRoutine.templates?.[fromBucket]?.find((t) => t.id === id);
+    const { text: trimmed, tags } = extractTags(text);
+    if (!entry || !trimmed) return;
+    if (withTagText(entry) === text.trim() && fromBucket === toBucket) return;
+    remember(`Edited template “${entry.text}”`);
+    updateRoutine(tplRoutine.id, (r) => {
+      const templates =
+        fromBucket === toBucket
+          ? r.templates
+          : moveTemplate(r.templates, id, toBucket);
+      return {
+        ...r,
+        templates: {
+          ...templates,
+          [toBucket]: templates[toBucket].map((t) => {
+            if (t.id !== id) return t;
+            const { tags: oldTags, ...rest } = t;
+            return { ...rest, text: trimmed, ...tagFields({ tags }) };
+          }),
+        },
+      };
+    });
+  }
+
+  function moveTemplateTo(id, bucketId, beforeId) {
+    remember('Moved template');
+    updateRoutine(tplRoutine.id, (r) => ({
+      ...r,
+      templates: moveTemplate(r.templates, id, bucketId, beforeId),
+    }));
+  }
+
+  function removeTemplateItem(bucketId, idx) {
+    const entry = tplRoutine.templates?.[bucketId]?.[idx];
+    remember(`Removed template “${entry?.text}”`, { toast: true });
+    updateRoutine(tplRoutine.id, (r) => {
+      const list = [...(r.templates?.[bucketId] || [])];
+      list.splice(idx, 1);
+      return { ...r, templates: { ...r.templates, [bucketId]: list } };
+    });
+  }
+
+  function addRoutine(e) {
+    e?.preventDefault?.();
+    const name = routineName.trim();
+    if (!name) return;
+    const routine = makeRoutine(name);
+    remember(`Added routine “${name}”`);
+    setStore((prev) => ({ ...prev, routines: [...prev.routines, routine] }));
+    setTplRoutineId(routine.id);
+    setRoutineName('');
+  }
+
+  function renameRoutine(routineId, name) {
+    remember('Renamed routine', { key: `rename-routine:${routineId}` });
+    updateRoutine(routineId, (r) => ({ ...r, name }));
+  }
+
+  function removeRoutine(routineId) {
+    const routine = store.routines.find((r) => r.id === routineId);
+    if (!routine || store.routines.length < 2) return;
+    if (!window.confirm(`Delete the routine “${routine.name}”?`)) return;
+    remember(`Deleted routine “${routine.name}”`, { toast: true });
+    setStore((prev) => {
+      const routines = prev.routines.filter((r) => r.id !== routineId);
+      return {
+        ...prev,
+        routines,
+        settings: {
+          ...prev.settings,
+          routineByWeekday: prev.settings.routineByWeekday.map((id) =>
+            id === routineId ? routines[0].id : id
+          ),
+        },
+      };
+    });
+    setTplRoutineId(null);
+  }
+
+  function setWeekdayRoutine(weekday, routineId) {
+    remember('Changed weekday routine');
+    setStore((prev) => ({
+      ...prev,
+      settings: {
+        ...prev.settings,
+        routineByWeekday: prev.settings.routineByWeekday.map((id, i) =>
+          i === weekday ? routineId : id
+        ),
+      },
+    }));
+  }
+
+  // Buckets
+  function addBucket(e) {
+    e?.preventDefault?.();
+    const label = bucketName.trim();
+    if (!label) return;
+    remember(`Added bucket “${label}”`);
+    setStore((prev) => ({
+      ...prev,
+      buckets: [...prev.buckets, makeBucket(label)],
+    }));
+    setBucketName('');
+  }
+
+  function updateBucket(bucketId, patch) {
+    remember('Edited bucket', {
+      key: `bucket:${bucketId}:${Object.keys(patch).join()}`,
+    });
+    setStore((prev) => ({
+      ...prev,
+      buckets: prev.buckets.map((b) =>
+        b.id === bucketId ? editBucket(b, patch) : b
+      ),
+    }));
+  }
+
+  function moveBucket(bucketId, dir) {
+    remember('Moved bucket');
+    setStore((prev) => {
+      const list = [...prev.buckets];
+      const i = list.findIndex((b) => b.id === bucketId);
+      const j = i + dir;
+      if (i < 0 || j < 0 || j >= list.length) return prev;
+      [list[i], list[j]] = [list[j], list[i]];
+      return { ...prev, buckets: list };
+    });
+  }
+
+  // Activities of a deleted bucket move to its neighbour, never vanish
+  function removeBucket(bucketId) {
+    const i = buckets.findIndex((b) => b.id === bucketId);
+    if (i < 0 || buckets.length < 2) return;
+    const target = buckets[i === 0 ? 1 : i - 1];
+    if (
+      !window.confirm(
+        `Delete “${buckets[i].label}”? Its activities and templates move to “${target.label}”.`
+      )
+    ) {
+      return;
+    }
+    remember(`Deleted bucket “${buckets[i].label}”`, {
+      toast: true,
+      days: [
+        ...new Set([
+          dateKey,
+          ...Object.keys(store.days || {}).filter((k) =>
+            store.days[k].some((it) => it.bucket === bucketId)
+          ),
+        ]),
+      ],
+    });
+    setStore((prev) => ({
+      ...prev,
+      buckets: prev.buckets.filter((b) => b.id !== bucketId),
+      routines: prev.routines.map((r) => ({
+        ...r,
+        templates: remapTemplates(r.templates, bucketId, target.id),
+      })),
+      days: Object.fromEntries(
+        Object.entries(prev.days || {}).map(([k, list]) => [
+          k,
+          remapItems(list, bucketId, target.id),
+        ])
+      ),
+    }));
+    setItems((prev) => remapItems(prev, bucketId, target.id));
+    if (bucket === bucketId) setBucket(target.id);
+    if (tplBucket === bucketId) setTplBucket(target.id);
+  }
+
+  function applyTemplatesToToday() {
+    const tk = today;
+    remember('Applied templates to today', { toast: true, days: [tk] });
+    if (dateKey === tk) {
+      changeItems((prev) => reseedItems(prev, tplRoutine, tk), tplRoutine);
+    } else {
+      // Today is not loaded into `items`; re-seed it in the store instead
+      setStore((prev) => ({
+        ...prev,
+        days: {
+          ...prev.days,
+          [tk]: reseedItems(normalizeDayItems(prev.days?.[tk]), tplRoutine, tk),
+        },
+      }));
+      logEvents(tk, [makeEvent('reset', { text: tplRoutine.name })]);
+      setDateKey(tk);
+    }
+    setTab('today');
+  }
+
+  const tplRoutine =
+    store.routines.find((r) => r.id === tplRoutineId) ||
+    routineForDate(store, today);
+  const dayRoutineId =
+    routineOfItems(items) || routineForDate(store, dateKey)?.id;
+
+  // History
+  const historyKeys = useMemo(
+    () => Object.keys(store.days || {}).sort((a, b) => (a < b ? 1 : -1)),
+    [store.days]
+  );
+
+  // Opens any date within the history window (see planning.js)
+  function openDay(k) {
+    if (!k || (oldestDay && k < oldestDay)) return;
+    setDateKey(k);
+    setTab('today');
+  }
+
+  function focusAddInput() {
+    setTab('today');
+    // The form is only there once the Today tab has rendered
+    setTimeout(() => inputRef.current?.focus?.(), 0);
+  }
+
+  // Single-key shortcuts (listed in commands.js); true when the key was used
+  function shortcut(key) {
+    const n = Number(key);
+    if (n >= 1 && n <= TABS.length) {
+      setTab(TABS[n - 1].id);
+      return true;
+    }
+    const moves = {
+      j: 'next',
+      ArrowDown: 'next',
+      k: 'prev',
+      ArrowUp: 'prev',
+      h: 'left',
+      ArrowLeft: 'left',
+      l: 'right',
+      ArrowRight: 'right',
+    };
+    const item = items.find((it) => it.id === selected);
+    const columns = buckets.map((b) => visibleByBucket[b.id].map((x) => x.id));
+    switch (key) {
+      case '?':
+        setOverlay('help');
+        return true;
+      case '/':
+        focusAddInput();
+        return true;
+      case '[':
+        openDay(addDays(dateKey, -1));
+        return true;
+      case ']':
+        openDay(addDays(dateKey, 1));
+        return true;
+      case 't':
+        openDay(today);
+        return true;
+      default:
+    }
+    if (tab !== 'today' || editing) return false;
+    if (moves[key]) {
+      setSelected(moveSelection(columns, selected, moves[key]));
+      return true;
+    }
+    if (!item) return false;
+    if (key === 'x' || key === ' ') {
+      toggleDone(item.id);
+    } else if (key === 'e') {
+      startEdit('item', item);
+    } else if (key === 'Delete' || key === 'Backspace') {
+      const next = moveSelection(columns, item.id, 'next');
+      setSelected(
+        next !== item.id ? next : moveSelection(columns, item.id, 'prev')
+      );
+      removeItem(item.id);
+    } else if (key === 'Escape') {
+      setSelected(null);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Everything the command palette offers for `query` (see commands.js)
+  function paletteCommands(query) {
+    const out = [];
+    TABS.forEach((t, i) =>
+      out.push({
+        id: `tab:${t.id}`,
+        group: 'Go to',
+        title: t.label,
+        hint: String(i + 1),
+        run: () => setTab(t.id),
+      })
+    );
+    out.push(
+      {
+        id: 'day:prev',
+        group: 'Go to',
+        title: 'Previous day',
+        hint: '[',
+        run: () => openDay(addDays(dateKey, -1)),
+      },
+      {
+        id: 'day:next',
+        group: 'Go to',
+        title: 'Next day',
+        hint: ']',
+        run: () => openDay(addDays(dateKey, 1)),
+      },
+      {
+        id: 'day:today',
+        group: 'Go to',
+        title: 'Today’s date',
+        hint: 't',
+        run: () => openDay(today),
+      },
+      {
+        id: 'add',
+        group: 'Activity',
+        title: 'New activity…',
+        hint: '/',
+        run: focusAddInput,
+      }
+    );
+    for (const it of items) {
+      out.push(
+        {
+          id: `toggle:${it.id}`,
+          group: 'Activity',
+          title: `${it.done ? 'Reopen' : 'Complete'} “${it.text}”`,
+          hint: bucketLabel(buckets, it.bucket),
+          run: () => toggleDone(it.id),
+        },
+        {
+          id: `delete:${it.id}`,
+          group: 'Activity',
+          title: `Delete “${it.text}”`,
+          hint: bucketLabel(buckets, it.bucket),
+          run: () => removeItem(it.id),
+        }
+      );
+    }
+    for (const b of buckets) {
+      out.push({
+        id: `done:${b.id}`,
+        group: 'Day',
+        title: `Mark all ${b.label} done`,
+        run: () => markAllDone(b.id),
+      });
+    }
+    out.push(
+      {
+        id: 'clear',
+        group: 'Day',
+        title: 'Clear completed',
+        run: clearCompleted,
+      },
+      {
+        id: 'reset',
+        group: 'Day',
+        title: 'Reset today (from templates)',
+        run: resetToday,
+      }
+    );
+    if (canUndo(undo)) {
+      out.push({
+        id: 'undo',
+        group: 'Edit',
+        title: `Undo: ${undo.past[undo.past.length - 1].label}`,
+        hint: 'Ctrl+Z',
+        run: undoLast,
+      });
+    }
+    if (canRedo(undo)) {
+      out.push({
+        id: 'redo',
+        group: 'Edit',
+        title: `Redo: ${undo.future[undo.future.length - 1].label}`,
+        hint: 'Ctrl+Shift+Z',
+        run: redoLast,
+      });
+    }
+    out.push({
+      id: 'help',
+      group: 'Help',
+      title: 'Keyboard shortcuts',
+      hint: '?',
+      run: () => setOverlay('help'),
+    });
+    for (const k of historyKeys) {
+      const p = dayProgress(store.days[k]);
+      out.push({
+        id: `open:${k}`,
+        group: 'History',
+        title: `Open ${k}`,
+        hint: `${p.done}/${p.total} done`,
+        run: () => openDay(k),
+      });
+    }
+
+    // Built from the query itself
+    const typed = query.trim();
+    if (
+      /^\d{4}-\d{2}-\d{2}$/.test(typed) &&
+      !store.days?.[typed] &&
+      !(oldestDay && typed < oldestDay)
+    ) {
+      out.push({
+        id: `open:${typed}`,
+        group: 'Go to',
+        title: `Open ${typed}`,
+        hint: typed > today ? 'plan it' : 'backfill it',
+        fromQuery: true,
+        run: () => openDay(typed),
+      });
+    }
+    const entry = quickEntry(typed, {}, true);
+    if (entry) {
+      const targets = entry.bucket
+        ? buckets.filter((b) => b.id === entry.bucket)
+        : buckets;
+      for (const b of targets) {
+        const add = { ...entry, bucket: b.id };
+        out.push({
+          id: `add:${b.id}`,
+          group: 'Add',
+          title: quickParts(add).join(' • '),
+          fromQuery: true,
+          run: () => {
+            setTab('today');
+            addActivity(add);
+          },
+        });
+      }
+    }
+    return out;
+  }
+
+  // A quick-add phrase with the form's own fields filling in what it leaves
+  // out; null when there is no text
+  function quickEntry(raw, defaults, dates) {
+    const parsed = parseQuickAdd(raw, { buckets, today, dates });
+    if (!parsed.text) return null;
+    const timed = parsed.time ? parsed : defaults;
+    const measured = parsed.target
+      ? { kind: 'count', target: parsed.target }
+      : defaults;
+    return {
+      ...parsed,
+      bucket: parsed.bucket || defaults.bucket,
+      time: timed.time,
+      duration: timed.duration,
+      kind: measured.kind,
+      target: measured.target,
+    };
+  }
+
+  // Preview chips for a quickEntry()
+  function quickParts(entry, unit) {
+    const parts = [
+      `“${entry.text}”`,
+      bucketLabel(buckets, pickBucket(entry.bucket)),
+    ];
+    const dk = entry.date || dateKey;
+    if (dk !== dateKey) {
+      const named = {
+        [addDays(today, -1)]: 'Yesterday',
+        [today]: 'Today',
+        [addDays(today, 1)]: 'Tomorrow',
+      }[dk];
+      parts.push(named ? `${named} (${dk})` : dk);
+      if (oldestDay && dk < oldestDay) parts.push('older than History keeps');
+    }
+    const schedule = formatSchedule(scheduleFields(entry));
+    if (schedule) parts.push(schedule);
+    const measure = describeMeasure(
+      measureDefinition({
+        kind: entry.kind || 'count',
+        target: entry.target,
+        unit,
+      })
+    );
+    if (measure) parts.push(measure);
+    return [...parts, ...entry.tags.map((t) => `#${t}`)];
+  }
+
+  function exportBackup() {
+    downloadFile(`daily-activities-${today}.json`, exportStore(store));
+  }
+
+  function exportRange(format) {
+    const name = `daily-activities-${exportFrom}_${exportTo}`;
+    if (format === 'csv') {
+      downloadFile(
+        `${name}.csv`,
+        toCSV(store.days, exportFrom, exportTo, buckets),
+        'text/csv'
+      );
+    } else {
+      downloadFile(
+        `${name}.ics`,
+        toICS(store.days, exportFrom, exportTo, buckets),
+        'text/calendar'
+      );
+    }
+  }
+
+  function readImportFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((raw) => {
+      try {
+        const { store: incoming, dropped } = parseImport(raw);
+        setImportState({
+          fileName: file.name,
+          incoming,
+          dropped,
+          mode: 'merge',
+          routines: false,
+        });
+      } catch (err) {
+        setImportState({ fileName: file.name, error: err.message });
+      }
+    });
+  }
+
+  function confirmImport() {
+    remember(`Imported ${importState.fileName}`, {
+      toast: true,
+      days: [
+        dateKey,
+        ...importPlan.days
+          .filter((row) => row.status !== 'same' && row.dateKey !== dateKey)
+          .map((row) => row.dateKey),
+      ],
+    });
+    const next = applyImport(store, importState.incoming, importPlan, {
+      routines: importState.routines,
+    });
+    setStore(next);
+    // An open day the import does not have (a planned or backfilled one not
+    // stored yet) stays filled from its routine instead of going empty
+    const imported = next.days[dateKey];
+    if (imported) {
+      setItems(normalizeDayItems(imported));
+    } else {
+      const seeded = makeItemsForDate(next, dateKey);
+      setUnsaved({ dateKey, items: seeded });
+      setItems(seeded);
+    }
+    setImportState(null);
+  }
+
+  function setRetention(retentionDays) {
+    const before = Object.keys(store.days || {}).length;
+    const after = Object.keys(pruneHistory(store.days, retentionDays)).length;
+    if (
+      before > after &&
+      !window.confirm(
+        `This permanently deletes ${before - after} older day(s). Continue?`
+      )
+    ) {
+      return;
+    }
+    setStore((prev) =>
+      pruneStore({ ...prev, settings: { ...prev.settings, retentionDays } })
+    );
+  }
+
+  const importPlan = useMemo(
+    () =>
+      importState?.incoming
+        ? planImport(store, importState.incoming, importState.mode)
+        : null,
+    [store, importState]
+  );
+
+  const stats = useMemo(() => {
+    if (tab !== 'stats') return null;
+    const from = statsDays == null ? null : addDays(today, -(statsDays - 1));
+    const keys = daysInWindow(store.days, from, today);
+    return {
+      keys,
+      activities: activityStats(store.days, store.routines, keys, today),
+      trends: bucketTrends(store.days, keys, store.buckets),
+      weekdays: weekdayBreakdown(store.days, keys),
+      tags: tagStats(store.days, keys),
+    };
+  }, [tab, statsDays, store.days, store.routines, store.buckets, today]);
+
+  const knownTags = useMemo(
+    () => allTags({ days: store.days, routines: store.routines }),
+    [store.days, store.routines]
+  );
+
+  // Activity names for the goal form: template entries, then past items
+  const activityNames = useMemo(() => {
+    if (tab !== 'templates') return [];
+    const byKey = new Map();
+    const add = (text) => {
+      if (!byKey.has(activityKey(text))) byKey.set(activityKey(text), text);
+    };
+    for (const r of store.routines) {
+      for (const list of Object.values(r.templates || {})) {
+        for (const t of list || []) add(t.text);
+      }
+    }
+    for (const list of Object.values(store.days || {})) {
+      for (const it of list) add(it.text);
+    }
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+  }, [tab, store.routines, store.days]);
+
+  const searchResults = useMemo(() => {
+    if (tab !== 'history' || (!search.trim() && !searchTag)) return null;
+    return searchDays(store.days, search, searchTag ? [searchTag] : []);
+  }, [tab, search, searchTag, store.days]);
+
+  const isToday = dateKey === today;
+  const goalCards = store.goals.map((goal) => ({
+    goal,
+    ...goalProgress(goal, { ...store.days, [dateKey]: items }, dateKey, today),
+  }));
+  const quick = quickEntry(text, { bucket, time, duration }, true);
+  const tplQuick = quickEntry(
+    tplText,
+    {
+      bucket: tplBucket,
+      time: tplTime,
+      duration: tplDuration,
+      kind: tplKind,
+      target: tplTarget,
+    },
+    false
+  );
+  const retentionDays = store.settings?.retentionDays;
+  const oldestDay = oldestOpenable(today, retentionDays);
+  const status = dayStatus(dateKey, items, today);
+  const isUnsaved = unsaved?.dateKey === dateKey && unsaved.items === items;
+  const dayLabel = {
+    planned: 'Planned',
+    backfilled: 'Backfilled',
+    past: status.late > 0 ? `${status.late} added later` : '',
+    today: 'Today',
+  }[status.kind];
+  const zoneOptions = useMemo(() => {
+    if (tab !== 'settings') return [];
+    const names = timeZoneNames();
+    return timeZone && !names.includes(timeZone) ? [timeZone, ...names] : names;
+  }, [tab, timeZone]);
+
+  const card =
+    'rounded-2xl bg-slate-950/60 backdrop-blur p-4 shadow-[0_10px_30px_rgba(0,0,0,0.6)] ring-1 ring-white/10';
 
   const input =
     'w-full rounded-xl border border-white/10 bg-black/40 px-3 py-2 text-sm text-white outline-none ring-white/20 focus:ring-2 placeholder:text-white/30';
@@ -338,6 +2251,16 @@ export default function App() {
   const ghostBtn =
     'rounded-xl bg-white/10 px-3 py-2 text-xs font-medium text-white/80 ring-1 ring-white/20 hover:bg-white/20';
 
+  if (!boot) {
+    return (
+      <div className="min-h-screen bg-black text-white">
+        <p className="mx-auto max-w-3xl px-4 py-8 text-sm text-white/50">
+          Loading…
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-black text-white">
       <div className="mx-auto max-w-3xl px-4 py-8">
@@ -352,7 +2275,8 @@ export default function App() {
               </h1>
               <p className="mt-2 text-sm text-white/60">
                 {dateKey}
-                {isToday ? ' • Today' : ''} • Morning / Noon / Evening
+                {dayLabel ? ` • ${dayLabel}` : ''} •{' '}
+                {buckets.map((b) => b.label).join(' / ')}
               </p>
             </div>
 
@@ -374,11 +2298,7 @@ export default function App() {
 
           {/* Tabs */}
           <div className="flex flex-wrap gap-2">
-            {[
-              { id: 'today', label: 'Today' },
-              { id: 'templates', label: 'Templates' },
-              { id: 'history', label: 'History' },
-            ].map((t) => (
+            {TABS.map((t) => (
               <button
                 key={t.id}
                 type="button"
@@ -393,22 +2313,210 @@ export default function App() {
                 {t.label}
               </button>
             ))}
-          </div>
-        </header>
-
-        {tab === 'today' && (
-          <>
-            <form onSubmit={addItem} className={cls('mb-4', card)}>
-              <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
-                <div className="flex-1">
-                  <label className="mb-1 block text-xs font-medium text-white/60">
-                    Activity
-                  </label>
+            <div className="ml-auto flex gap-1">
+              <button
+                type="button"
+                onClick={() => setOverlay('palette')}
+                className={ghostBtn}
+                title="Command palette (Ctrl+K) • ? for shortcuts"
+              >
+                Commands
+              </button>
+              <button
+                type="button"
+                onClick={undoLast}
+                disabled={!canUndo(undo)}
+                className={cls(ghostBtn, 'disabled:opacity-40')}
+                title={
+                  canUndo(undo)
+                    ? `Undo: ${undo.past[undo.past.length - 1].label} (Ctrl+Z)`
+                    : 'Nothing to undo'
+                }
+              >
+                ↶ Undo
+              </button>
+              <button
+                type="button"
+                onClick={redoLast}
+                disabled={!canRedo(undo)}
+                className={cls(ghostBtn, 'disabled:opacity-40')}
+                title={
+                  canRedo(undo)
+                    ? `Redo: ${
+                        undo.future[undo.future.length - 1].label
+                      } (Ctrl+Shift+Z)`
+                    : 'Nothing to redo'
+                }
+              >
+                ↷ Redo
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {(saveStatus || boot.readOnly) && (
+          <div
+            role="alert"
+            className="mb-4 rounded-2xl bg-red-950/60 p-4 text-sm text-red-100 ring-1 ring-red-400/40"
+          >
+            <div className="font-semibold">
+              {boot.readOnly
+                ? 'Saving is paused'
+                : saveStatus.reason === 'quota'
+                ? 'Storage full — changes are not being saved'
+                : 'Save failed — changes are not being saved'}
+            </div>
+            <p className="mt-1 text-red-100/70">
+              {boot.readOnly
+                ? `${
+                    boot.error?.message || 'Saved data could not be read.'
+                  } Nothing will be written until this is resolved.`
+                : 'Your edits stay on screen but will be lost when this tab closes. Free up browser storage, then make any change to retry.'}
+            </p>
+          </div>
+        )}
+
+        {loadNotice && !boot.readOnly && (
+          <div className="mb-4 rounded-2xl bg-amber-950/60 p-4 text-sm text-amber-100 ring-1 ring-amber-400/40">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <div className="font-semibold">
+                  {loadNotice.error
+                    ? loadNotice.error.message
+                    : `${loadNotice.dropped.length} saved record(s) could not be read`}
+                </div>
+                <p className="mt-1 text-amber-100/70">
+                  A copy was kept in this browser under “{QUARANTINE_KEY}”.
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setLoadNotice(null)}
+                className={ghostBtn}
+              >
+                Dismiss
+              </button>
+            </div>
+            {loadNotice.dropped.length > 0 && (
+              <ul className="mt-2 space-y-1 text-xs text-amber-100/70">
+                {loadNotice.dropped.map((d, i) => (
+                  <li key={i}>
+                    {d.dateKey} • item {d.index + 1}: {d.reason}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {updateReady && (
+          <div
+            role="status"
+            className="mb-4 flex items-center justify-between gap-3 rounded-2xl bg-cyan-950/60 p-4 text-sm text-cyan-100 ring-1 ring-cyan-400/40"
+          >
+            <div>
+              <div className="font-semibold">A new version is available</div>
+              <p className="mt-1 text-cyan-100/70">
+                Reload to start using it. Your data stays as it is.
+              </p>
+            </div>
+            <div className="flex shrink-0 gap-2">
+              <button
+                type="button"
+                onClick={reloadIntoUpdate}
+                className={cls(
+                  'rounded-xl px-3 py-2 text-xs font-semibold text-black',
+                  rgb
+                )}
+              >
+                Reload
+              </button>
+              <button
+                type="button"
+                onClick={() => setUpdateReady(false)}
+                className={ghostBtn}
+              >
+                Later
+              </button>
+            </div>
+          </div>
+        )}
+
+        {tab === 'today' && (
+          <>
+            <div className="mb-4 flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                onClick={() => openDay(addDays(dateKey, -1))}
+                disabled={!!oldestDay && dateKey <= oldestDay}
+                aria-label="Previous day"
+                className={cls(ghostBtn, 'disabled:opacity-40')}
+              >
+                ←
+              </button>
+              <div className="w-44">
+                <input
+                  type="date"
+                  value={dateKey}
+                  min={oldestDay || undefined}
+                  onChange={(e) => openDay(e.target.value)}
+                  aria-label="Open date"
+                  className={input}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => openDay(addDays(dateKey, 1))}
+                aria-label="Next day"
+                className={ghostBtn}
+              >
+                →
+              </button>
+              {!isToday && (
+                <button
+                  type="button"
+                  onClick={() => openDay(today)}
+                  className={ghostBtn}
+                >
+                  Today
+                </button>
+              )}
+              {status.kind === 'planned' && (
+                <span className="rounded-full bg-cyan-400/15 px-2.5 py-1 text-xs font-medium text-cyan-200 ring-1 ring-cyan-400/30">
+                  Planned ahead
+                </span>
+              )}
+              {status.kind === 'backfilled' && (
+                <span className="rounded-full bg-amber-400/15 px-2.5 py-1 text-xs font-medium text-amber-200 ring-1 ring-amber-400/30">
+                  Backfilled
+                </span>
+              )}
+              {status.kind === 'past' && status.late > 0 && (
+                <span
+                  title="Added after the day was over"
+                  className="rounded-full bg-amber-400/10 px-2.5 py-1 text-xs font-medium text-amber-200/80 ring-1 ring-amber-400/20"
+                >
+                  {status.late} added later
+                </span>
+              )}
+              {isUnsaved && (
+                <span className="text-xs text-white/50">
+                  Filled from the routine; saved once you change something.
+                </span>
+              )}
+            </div>
+
+            <form onSubmit={addItem} className={cls('mb-4', card)}>
+              <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+                <div className="flex-1">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Activity
+                  </label>
                   <input
                     ref={inputRef}
                     value={text}
                     onChange={(e) => setText(e.target.value)}
-                    placeholder="e.g., Gym, Study, Meeting, Walk..."
+                    placeholder="e.g., Gym tomorrow evening #health x3"
                     className={input}
                   />
                 </div>
@@ -418,11 +2526,11 @@ export default function App() {
                     Time
                   </label>
                   <select
-                    value={bucket}
+                    value={pickBucket(bucket)}
                     onChange={(e) => setBucket(e.target.value)}
                     className={input}
                   >
-                    {BUCKETS.map((b) => (
+                    {buckets.map((b) => (
                       <option key={b.id} value={b.id}>
                         {b.label}
                       </option>
@@ -430,6 +2538,32 @@ export default function App() {
                   </select>
                 </div>
 
+                <div className="sm:w-28">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    At (optional)
+                  </label>
+                  <input
+                    type="time"
+                    value={time}
+                    onChange={(e) => setTime(e.target.value)}
+                    className={input}
+                  />
+                </div>
+
+                <div className="sm:w-20">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Min
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={duration}
+                    onChange={(e) => setDuration(e.target.value)}
+                    disabled={!time}
+                    className={input}
+                  />
+                </div>
+
                 <div className="sm:pt-6">
                   <button
                     type="submit"
@@ -443,19 +2577,66 @@ export default function App() {
                   </button>
                 </div>
               </div>
+              {quick && <QuickPreview parts={quickParts(quick)} />}
 
               <div className="mt-3 flex flex-wrap items-center justify-between gap-3">
-                <label className="flex items-center gap-2 text-sm text-white/70">
-                  <input
-                    type="checkbox"
-                    checked={showDone}
-                    onChange={(e) => setShowDone(e.target.checked)}
-                    className="h-4 w-4 rounded border-white/20 bg-black/40"
-                  />
-                  Show completed
-                </label>
+                <div className="flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-white/70">
+                    <input
+                      type="checkbox"
+                      checked={showDone}
+                      onChange={(e) => setShowDone(e.target.checked)}
+                      className="h-4 w-4 rounded border-white/20 bg-black/40"
+                    />
+                    Show completed
+                  </label>
+                  <label
+                    className="flex items-center gap-2 text-sm text-white/70"
+                    title="Copy unfinished items you added yourself into the next day"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!store.settings?.carryOver}
+                      onChange={(e) => setCarryOver(e.target.checked)}
+                      className="h-4 w-4 rounded border-white/20 bg-black/40"
+                    />
+                    Carry over unfinished
+                  </label>
+                  <label
+                    className="flex items-center gap-2 text-sm text-white/70"
+                    title="Notify me at the time set on an activity"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!store.settings?.reminders}
+                      onChange={(e) => setReminders(e.target.checked)}
+                      className="h-4 w-4 rounded border-white/20 bg-black/40"
+                    />
+                    Reminders
+                  </label>
+                  {reminderNotice && (
+                    <span className="text-xs text-amber-200/80">
+                      {reminderNotice}
+                    </span>
+                  )}
+                </div>
 
                 <div className="flex flex-wrap gap-2">
+                  {store.routines.length > 1 && (
+                    <select
+                      value={dayRoutineId}
+                      onChange={(e) => switchRoutine(e.target.value)}
+                      className={cls(ghostBtn, 'bg-black/40')}
+                      aria-label="Routine for this day"
+                      title="Re-fill template items from another routine (your own items stay)"
+                    >
+                      {store.routines.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          Routine: {r.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <button
                     type="button"
                     onClick={clearCompleted}
@@ -472,23 +2653,169 @@ export default function App() {
                   </button>
                 </div>
               </div>
+
+              {dayTags.length > 0 && (
+                <div
+                  role="group"
+                  aria-label="Filter by tag"
+                  className="mt-3 flex flex-wrap items-center gap-2"
+                >
+                  <span className="text-xs font-medium text-white/60">
+                    Filter
+                  </span>
+                  {[null, ...dayTags].map((t) => {
+                    const on = t ? activeTags.includes(t) : !activeTags.length;
+                    return (
+                      <button
+                        key={t || 'all'}
+                        type="button"
+                        aria-pressed={on}
+                        onClick={() =>
+                          setTagFilter(
+                            !t
+                              ? []
+                              : on
+                              ? activeTags.filter((x) => x !== t)
+                              : [...activeTags, t]
+                          )
+                        }
+                        className={cls(
+                          'rounded-lg px-2 py-1 text-xs font-medium ring-1',
+                          on
+                            ? `${rgb} text-black ring-transparent`
+                            : 'bg-white/10 text-white/70 ring-white/20'
+                        )}
+                      >
+                        {t ? `#${t}` : 'All'}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
             </form>
 
-            <main className="grid gap-4 md:grid-cols-3">
-              {BUCKETS.map((b) => {
+            {carried.length > 0 && (
+              <div className={cls('mb-4', card)}>
+                <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
+                  <div>
+                    <h2 className="text-base font-semibold">
+                      Carried over ({carried.length})
+                    </h2>
+                    <p className="text-sm text-white/60">
+                      Unfinished from {carried[0].carriedFrom}. Keep what still
+                      matters.
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={() => keepCarried()}
+                      className={ghostBtn}
+                    >
+                      Keep all
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => dismissCarried()}
+                      className={ghostBtn}
+                    >
+                      Dismiss all
+                    </button>
+                  </div>
+                </div>
+                <ul className="mt-3 space-y-2">
+                  {carried.map((it) => (
+                    <li
+                      key={it.id}
+                      className="flex items-center justify-between gap-3 rounded-xl border border-white/10 px-3 py-2"
+                    >
+                      <div className="min-w-0">
+                        <div className="text-sm">{it.text}</div>
+                        <div className="mt-0.5 text-[11px] text-white/40">
+                          {bucketLabel(buckets, it.bucket)}
+                          {it.carryCount > 1
+                            ? ` • carried ${it.carryCount} times`
+                            : ''}
+                        </div>
+                      </div>
+                      <div className="flex gap-1">
+                        <button
+                          type="button"
+                          onClick={() => keepCarried(it.id)}
+                          className="rounded-lg px-2 py-1 text-xs font-medium text-white/70 hover:bg-white/10"
+                        >
+                          Keep
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => dismissCarried(it.id)}
+                          className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                        >
+                          Dismiss
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {goalCards.length > 0 && (
+              <section
+                aria-label="Goals"
+                className="mb-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3"
+              >
+                {goalCards.map((g) => (
+                  <div key={g.goal.id} className={card}>
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <div className="truncate text-sm font-semibold">
+                          {g.goal.activity}
+                        </div>
+                        <div className="mt-0.5 text-xs text-white/60">
+                          {describeGoal(g.goal)}
+                        </div>
+                      </div>
+                      <div className="shrink-0 text-sm text-white/70">
+                        {g.achieved}/{g.goal.target}
+                      </div>
+                    </div>
+                    <div className="mt-3 h-2 overflow-hidden rounded-full bg-white/10">
+                      <div
+                        className={cls(
+                          'h-full rounded-full transition-all duration-500',
+                          rgb
+                        )}
+                        style={{ width: `${g.rate}%` }}
+                      />
+                    </div>
+                    <div className="mt-2 text-xs text-white/60">
+                      {describeProgress(g.goal, g)}
+                    </div>
+                  </div>
+                ))}
+              </section>
+            )}
+
+            <main className={cls('grid gap-4', gridCols(buckets.length))}>
+              {buckets.map((b) => {
                 const list = grouped[b.id] || [];
-                const visible = showDone ? list : list.filter((x) => !x.done);
-                const bucketDone =
-                  list.length === 0
-                    ? 0
-                    : Math.round(
-                        (list.filter((x) => x.done).length / list.length) * 100
-                      );
+                const visible = visibleByBucket[b.id];
+                const bucketDone = progressRate(list, now);
 
                 return (
                   <section
                     key={b.id}
-                    className={cls(card, 'relative overflow-hidden')}
+                    onDragOver={(e) => dragOver(e, 'item', b.id)}
+                    onDrop={(e) => dropOn(e, 'item')}
+                    className={cls(
+                      card,
+                      'relative overflow-hidden',
+                      drag?.kind === 'item' &&
+                        drag.bucket === b.id &&
+                        !drag.beforeId &&
+                        'outline-dashed outline-2 outline-cyan-300/60'
+                    )}
                   >
                     <span
                       className={cls('absolute inset-x-0 top-0 h-[2px]', rgb)}
@@ -530,49 +2857,206 @@ export default function App() {
                         {visible.map((it) => (
                           <li
                             key={it.id}
+                            data-item-id={it.id}
+                            draggable={!editing && expanded !== it.id}
+                            onDragStart={(e) => startDrag(e, 'item', it.id)}
+                            onDragOver={(e) => dragOver(e, 'item', b.id, it.id)}
+                            onDrop={(e) => dropOn(e, 'item')}
+                            onDragEnd={() => setDrag(null)}
                             className={cls(
-                              'flex items-center justify-between gap-3 rounded-xl border border-white/10 px-3 py-2',
-                              it.done && 'bg-white/5'
+                              'flex flex-wrap items-center justify-between gap-3 rounded-xl border border-white/10 px-3 py-2',
+                              it.done && 'bg-white/5',
+                              selected === it.id && 'ring-2 ring-cyan-300/70',
+                              drag?.id === it.id && 'opacity-40',
+                              drag?.kind === 'item' &&
+                                drag.beforeId === it.id &&
+                                'border-t-2 border-t-cyan-300'
                             )}
                           >
-                            <button
-                              type="button"
-                              onClick={() => toggleDone(it.id)}
-                              className="flex flex-1 items-center gap-3 text-left"
-                              aria-label={
-                                it.done
-                                  ? 'Mark as not completed'
-                                  : 'Mark as completed'
-                              }
-                            >
-                              <span
-                                className={cls(
-                                  'grid h-5 w-5 place-items-center rounded-md border',
+                            {editing?.id === it.id ? (
+                              <form
+                                onSubmit={(e) => saveEdit(e)}
+                                className="flex flex-1 flex-wrap gap-2"
+                              >
+                                <input
+                                  autoFocus
+                                  value={editing.text}
+                                  onChange={(e) =>
+                                    setEditing({
+                                      ...editing,
+                                      text: e.target.value,
+                                    })
+                                  }
+                                  onKeyDown={(e) =>
+                                    e.key === 'Escape' && setEditing(null)
+                                  }
+                                  aria-label="Activity"
+                                  className={cls(input, 'min-w-0 flex-1')}
+                                />
+                                <select
+                                  value={editing.bucket}
+                                  onChange={(e) =>
+                                    setEditing({
+                                      ...editing,
+                                      bucket: e.target.value,
+                                    })
+                                  }
+                                  aria-label="Bucket"
+                                  className={cls(input, 'w-auto')}
+                                >
+                                  {buckets.map((o) => (
+                                    <option key={o.id} value={o.id}>
+                                      {o.label}
+                                    </option>
+                                  ))}
+                                </select>
+                                <button type="submit" className={ghostBtn}>
+                                  Save
+                                </button>
+                              </form>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => toggleDone(it.id)}
+                                className="flex flex-1 items-center gap-3 text-left"
+                                aria-label={
                                   it.done
-                                    ? `${rgb} text-black border-transparent`
-                                    : 'border-white/20 bg-black/40'
-                                )}
+                                    ? 'Mark as not completed'
+                                    : 'Mark as completed'
+                                }
                               >
-                                {it.done ? '✓' : ''}
-                              </span>
-
-                              <div className="min-w-0">
-                                <div
+                                <span
                                   className={cls(
-                                    'text-sm',
-                                    it.done && 'text-white/40 line-through'
+                                    'grid h-5 w-5 place-items-center rounded-md border',
+                                    it.done
+                                      ? `${rgb} text-black border-transparent`
+                                      : 'border-white/20 bg-black/40'
                                   )}
                                 >
-                                  {it.text}
-                                </div>
-                                {it.fromTemplate && (
-                                  <div className="mt-0.5 text-[11px] text-white/40">
-                                    From template
+                                  {it.done ? '✓' : ''}
+                                </span>
+
+                                <div className="min-w-0">
+                                  <div
+                                    className={cls(
+                                      'text-sm',
+                                      it.done && 'text-white/40 line-through'
+                                    )}
+                                  >
+                                    {it.text}
+                                    <TagChips tags={it.tags} />
                                   </div>
-                                )}
+                                  {it.time && (
+                                    <div className="mt-0.5 text-[11px] text-white/60">
+                                      {formatSchedule(it)}
+                                    </div>
+                                  )}
+                                  {it.kind === 'count' && (
+                                    <div className="mt-0.5 text-[11px] text-white/60">
+                                      {it.count}/{it.target}
+                                      {it.unit ? ` ${it.unit}` : ''}
+                                    </div>
+                                  )}
+                                  {it.kind === 'timer' && (
+                                    <div className="mt-0.5 font-mono text-[11px] text-white/60">
+                                      {formatSeconds(timerSeconds(it, now))} /{' '}
+                                      {formatSeconds(it.target * 60)}
+                                    </div>
+                                  )}
+                                  {(it.subtasks || it.notes) && (
+                                    <div className="mt-0.5 text-[11px] text-white/60">
+                                      {it.subtasks
+                                        ? `${subtaskCounts(it).done}/${
+                                            subtaskCounts(it).total
+                                          } subtasks`
+                                        : ''}
+                                      {it.subtasks && it.notes ? ' • ' : ''}
+                                      {it.notes ? 'Notes' : ''}
+                                    </div>
+                                  )}
+                                  {it.fromTemplate && (
+                                    <div className="mt-0.5 text-[11px] text-white/40">
+                                      From template
+                                    </div>
+                                  )}
+                                  {it.carriedFrom && (
+                                    <div className="mt-0.5 text-[11px] text-white/40">
+                                      Carried from {it.carriedFrom}
+                                      {it.carryCount > 1
+                                        ? ` • ×${it.carryCount}`
+                                        : ''}
+                                    </div>
+                                  )}
+                                </div>
+                              </button>
+                            )}
+
+                            {editing?.id !== it.id && it.kind === 'count' && (
+                              <div className="flex gap-1">
+                                <button
+                                  type="button"
+                                  onClick={() => bumpCount(it.id, -1)}
+                                  disabled={it.count === 0}
+                                  className={cls(
+                                    ghostBtn,
+                                    'disabled:opacity-40'
+                                  )}
+                                  aria-label="Count one less"
+                                >
+                                  −
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => bumpCount(it.id, 1)}
+                                  className={ghostBtn}
+                                  aria-label="Count one more"
+                                >
+                                  +
+                                </button>
                               </div>
-                            </button>
+                            )}
+                            {editing?.id !== it.id && it.kind === 'timer' && (
+                              <button
+                                type="button"
+                                onClick={() => toggleTimer(it.id)}
+                                className={ghostBtn}
+                                aria-pressed={!!it.runningSince}
+                              >
+                                {it.runningSince ? '■ Stop' : '▶ Start'}
+                              </button>
+                            )}
 
+                            {editing?.id === it.id ? (
+                              <button
+                                type="button"
+                                onClick={() => setEditing(null)}
+                                className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                              >
+                                Cancel
+                              </button>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  startEdit('item', { ...it, bucket: b.id })
+                                }
+                                className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                                aria-label="Edit activity"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() =>
+                                setExpanded((v) => (v === it.id ? null : it.id))
+                              }
+                              className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                              aria-expanded={expanded === it.id}
+                              aria-label="Notes and subtasks"
+                            >
+                              {expanded === it.id ? '▴' : '▾'}
+                            </button>
                             <button
                               type="button"
                               onClick={() => removeItem(it.id)}
@@ -581,6 +3065,10 @@ export default function App() {
                             >
                               Delete
                             </button>
+                            {expanded === it.id &&
+                              renderDetails(it, (label, fn) =>
+                                changeItem(it.id, label, fn)
+                              )}
                           </li>
                         ))}
                       </ul>
@@ -590,9 +3078,25 @@ export default function App() {
               })}
             </main>
 
+            <div className={cls('mt-4', card)}>
+              <button
+                type="button"
+                onClick={() => setShowTimeline((v) => !v)}
+                className="flex w-full items-center justify-between gap-3 text-left"
+                aria-expanded={showTimeline}
+              >
+                <h2 className="text-base font-semibold">Timeline</h2>
+                <span className="text-xs font-medium text-white/60">
+                  {dayLog.length} event{dayLog.length === 1 ? '' : 's'}{' '}
+                  {showTimeline ? '▲' : '▼'}
+                </span>
+              </button>
+              {showTimeline && <Timeline events={dayLog} />}
+            </div>
+
             <footer className="mt-8 text-xs text-white/40">
               Saved in this browser. New days auto-fill from your Templates and
-              keeps the last 7 days in History.
+              History keeps the {retentionLabel(retentionDays)}.
             </footer>
           </>
         )}
@@ -604,7 +3108,8 @@ export default function App() {
                 <div>
                   <h2 className="text-base font-semibold">Templates</h2>
                   <p className="text-sm text-white/60">
-                    These activities auto-add every day.
+                    Activities in “{tplRoutine.name}” auto-add on the days they
+                    repeat.
                   </p>
                 </div>
                 <button
@@ -620,6 +3125,87 @@ export default function App() {
                 </button>
               </div>
 
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                {store.routines.map((r) => (
+                  <button
+                    key={r.id}
+                    type="button"
+                    onClick={() => setTplRoutineId(r.id)}
+                    className={cls(
+                      'rounded-xl px-3 py-2 text-xs font-medium transition ring-1',
+                      r.id === tplRoutine.id
+                        ? `${rgb} text-black ring-transparent`
+                        : 'bg-white/10 text-white/70 ring-white/20 hover:bg-white/20'
+                    )}
+                  >
+                    {r.name}
+                  </button>
+                ))}
+                <form onSubmit={addRoutine} className="flex gap-2">
+                  <input
+                    value={routineName}
+                    onChange={(e) => setRoutineName(e.target.value)}
+                    placeholder="New routine, e.g. Weekend"
+                    className={cls(input, 'w-48 py-1.5 text-xs')}
+                  />
+                  <button type="submit" className={ghostBtn}>
+                    Add routine
+                  </button>
+                </form>
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-end gap-3">
+                <div className="sm:w-56">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Routine name
+                  </label>
+                  <input
+                    value={tplRoutine.name}
+                    onChange={(e) =>
+                      renameRoutine(tplRoutine.id, e.target.value)
+                    }
+                    className={input}
+                  />
+                </div>
+                {store.routines.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => removeRoutine(tplRoutine.id)}
+                    className={ghostBtn}
+                  >
+                    Delete routine
+                  </button>
+                )}
+              </div>
+
+              {store.routines.length > 1 && (
+                <div className="mt-4">
+                  <div className="mb-1 text-xs font-medium text-white/60">
+                    New days start with
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 sm:grid-cols-7">
+                    {WEEKDAY_OPTIONS.map((o) => (
+                      <label key={o.day} className="text-[11px] text-white/50">
+                        {o.label}
+                        <select
+                          value={store.settings.routineByWeekday[o.day]}
+                          onChange={(e) =>
+                            setWeekdayRoutine(o.day, e.target.value)
+                          }
+                          className={cls(input, 'mt-1 px-2 text-xs')}
+                        >
+                          {store.routines.map((r) => (
+                            <option key={r.id} value={r.id}>
+                              {r.name}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <form
                 onSubmit={addTemplateItem}
                 className="mt-4 grid gap-3 sm:grid-cols-[1fr_180px_auto]"
@@ -631,20 +3217,23 @@ export default function App() {
                   <input
                     value={tplText}
                     onChange={(e) => setTplText(e.target.value)}
-                    placeholder="e.g., Meditate 5 min"
+                    placeholder="e.g., Meditate at 7:00 for 5 min #health"
                     className={input}
                   />
+                  {tplQuick && (
+                    <QuickPreview parts={quickParts(tplQuick, tplUnit)} />
+                  )}
                 </div>
                 <div>
                   <label className="mb-1 block text-xs font-medium text-white/60">
                     Time
                   </label>
                   <select
-                    value={tplBucket}
+                    value={pickBucket(tplBucket)}
                     onChange={(e) => setTplBucket(e.target.value)}
                     className={input}
                   >
-                    {BUCKETS.map((b) => (
+                    {buckets.map((b) => (
                       <option key={b.id} value={b.id}>
                         {b.label}
                       </option>
@@ -659,16 +3248,206 @@ export default function App() {
                     Add
                   </button>
                 </div>
+
+                <div className="flex flex-col gap-3 sm:col-span-3 sm:flex-row sm:items-end">
+                  <div className="sm:w-44">
+                    <label className="mb-1 block text-xs font-medium text-white/60">
+                      Repeat
+                    </label>
+                    <select
+                      value={tplRepeat.type}
+                      onChange={(e) =>
+                        setTplRepeat((r) => ({ ...r, type: e.target.value }))
+                      }
+                      className={input}
+                    >
+                      {REPEAT_TYPES.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {tplRepeat.type === 'weekdays' && (
+                    <div className="flex flex-wrap gap-1">
+                      {WEEKDAY_OPTIONS.map((o) => {
+                        const on = tplRepeat.days.includes(o.day);
+                        return (
+                          <button
+                            key={o.day}
+                            type="button"
+                            aria-pressed={on}
+                            onClick={() =>
+                              setTplRepeat((r) => ({
+                                ...r,
+                                days: on
+                                  ? r.days.filter((d) => d !== o.day)
+                                  : [...r.days, o.day],
+                              }))
+                            }
+                            className={cls(
+                              'rounded-lg px-2 py-2 text-xs font-medium ring-1',
+                              on
+                                ? `${rgb} text-black ring-transparent`
+                                : 'bg-white/10 text-white/70 ring-white/20'
+                            )}
+                          >
+                            {o.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {tplRepeat.type === 'interval' && (
+                    <>
+                      <div className="sm:w-24">
+                        <label className="mb-1 block text-xs font-medium text-white/60">
+                          Every N days
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="365"
+                          value={tplRepeat.every}
+                          onChange={(e) =>
+                            setTplRepeat((r) => ({
+                              ...r,
+                              every: e.target.value,
+                            }))
+                          }
+                          className={input}
+                        />
+                      </div>
+                      <div className="sm:w-44">
+                        <label className="mb-1 block text-xs font-medium text-white/60">
+                          Starting
+                        </label>
+                        <input
+                          type="date"
+                          value={tplRepeat.start}
+                          onChange={(e) =>
+                            setTplRepeat((r) => ({
+                              ...r,
+                              start: e.target.value,
+                            }))
+                          }
+                          className={input}
+                        />
+                      </div>
+                    </>
+                  )}
+
+                  {tplRepeat.type === 'monthday' && (
+                    <div className="sm:w-24">
+                      <label className="mb-1 block text-xs font-medium text-white/60">
+                        Day
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="31"
+                        value={tplRepeat.day}
+                        onChange={(e) =>
+                          setTplRepeat((r) => ({ ...r, day: e.target.value }))
+                        }
+                        className={input}
+                      />
+                    </div>
+                  )}
+
+                  <div className="sm:w-28">
+                    <label className="mb-1 block text-xs font-medium text-white/60">
+                      At (optional)
+                    </label>
+                    <input
+                      type="time"
+                      value={tplTime}
+                      onChange={(e) => setTplTime(e.target.value)}
+                      className={input}
+                    />
+                  </div>
+                  <div className="sm:w-20">
+                    <label className="mb-1 block text-xs font-medium text-white/60">
+                      Min
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={tplDuration}
+                      onChange={(e) => setTplDuration(e.target.value)}
+                      disabled={!tplTime}
+                      className={input}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex flex-col gap-3 sm:col-span-3 sm:flex-row sm:items-end">
+                  <div className="sm:w-44">
+                    <label className="mb-1 block text-xs font-medium text-white/60">
+                      Type
+                    </label>
+                    <select
+                      value={tplKind}
+                      onChange={(e) => setTplKind(e.target.value)}
+                      className={input}
+                    >
+                      {ITEM_KINDS.map((k) => (
+                        <option key={k.id} value={k.id}>
+                          {k.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {tplKind !== 'check' && (
+                    <div className="sm:w-28">
+                      <label className="mb-1 block text-xs font-medium text-white/60">
+                        {tplKind === 'timer' ? 'Minutes' : 'Target'}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={tplTarget}
+                        onChange={(e) => setTplTarget(e.target.value)}
+                        placeholder={tplKind === 'timer' ? '10' : '8'}
+                        className={input}
+                      />
+                    </div>
+                  )}
+                  {tplKind === 'count' && (
+                    <div className="sm:w-36">
+                      <label className="mb-1 block text-xs font-medium text-white/60">
+                        Unit (optional)
+                      </label>
+                      <input
+                        value={tplUnit}
+                        onChange={(e) => setTplUnit(e.target.value)}
+                        placeholder="glasses"
+                        className={input}
+                      />
+                    </div>
+                  )}
+                </div>
               </form>
             </div>
 
-            <div className="mt-4 grid gap-4 md:grid-cols-3">
-              {BUCKETS.map((b) => {
-                const list = store.templates?.[b.id] || [];
+            <div className={cls('mt-4 grid gap-4', gridCols(buckets.length))}>
+              {buckets.map((b) => {
+                const list = tplRoutine.templates?.[b.id] || [];
                 return (
                   <section
                     key={b.id}
-                    className={cls(card, 'relative overflow-hidden')}
+                    onDragOver={(e) => dragOver(e, 'template', b.id)}
+                    onDrop={(e) => dropOn(e, 'template')}
+                    className={cls(
+                      card,
+                      'relative overflow-hidden',
+                      drag?.kind === 'template' &&
+                        drag.bucket === b.id &&
+                        !drag.beforeId &&
+                        'outline-dashed outline-2 outline-cyan-300/60'
+                    )}
                   >
                     <span
                       className={cls('absolute inset-x-0 top-0 h-[2px]', rgb)}
@@ -682,17 +3461,121 @@ export default function App() {
                       <ul className="mt-3 space-y-2">
                         {list.map((t, idx) => (
                           <li
-                            key={`${b.id}-${idx}`}
-                            className="flex items-center justify-between gap-3 rounded-xl border border-white/10 px-3 py-2"
+                            key={t.id}
+                            draggable={!editing && expanded !== t.id}
+                            onDragStart={(e) => startDrag(e, 'template', t.id)}
+                            onDragOver={(e) =>
+                              dragOver(e, 'template', b.id, t.id)
+                            }
+                            onDrop={(e) => dropOn(e, 'template')}
+                            onDragEnd={() => setDrag(null)}
+                            className={cls(
+                              'flex flex-wrap items-center justify-between gap-3 rounded-xl border border-white/10 px-3 py-2',
+                              drag?.id === t.id && 'opacity-40',
+                              drag?.kind === 'template' &&
+                                drag.beforeId === t.id &&
+                                'border-t-2 border-t-cyan-300'
+                            )}
                           >
-                            <span className="text-sm text-white/90">{t}</span>
-                            <button
+                            {editing?.id === t.id ? (
+                              <form
+                                onSubmit={(e) => saveEdit(e, b.id)}
+                                className="flex flex-1 flex-wrap gap-2"
+                              >
+                                <input
+                                  autoFocus
+                                  value={editing.text}
+                                  onChange={(e) =>
+                                    setEditing({
+                                      ...editing,
+                                      text: e.target.value,
+                                    })
+                                  }
+                                  onKeyDown={(e) =>
+                                    e.key === 'Escape' && setEditing(null)
+                                  }
+                                  aria-label="Template activity"
+                                  className={cls(input, 'min-w-0 flex-1')}
+                                />
+                                <select
+                                  value={editing.bucket}
+                                  onChange={(e) =>
+                                    setEditing({
+                                      ...editing,
+                                      bucket: e.target.value,
+                                    })
+                                  }
+                                  aria-label="Bucket"
+                                  className={cls(input, 'w-auto')}
+                                >
+                                  {buckets.map((o) => (
+                                    <option key={o.id} value={o.id}>
+                                      {o.label}
+                                    </option>
+                                  ))}
+                                </select>
+                                <button type="submit" className={ghostBtn}>
+                                  Save
+                                </button>
+                              </form>
+                            ) : (
+                              <div className="min-w-0 flex-1">
+                                <div className="text-sm text-white/90">
+                                  {t.text}
+                                  <TagChips tags={t.tags} />
+                                </div>
+                                <div className="mt-0.5 text-[11px] text-white/40">
+                                  {describeRepeat(t.repeat)}
+                                  {t.time ? ` • ${formatSchedule(t)}` : ''}
+                                  {t.kind ? ` • ${describeMeasure(t)}` : ''}
+                                  {t.subtasks
+                                    ? ` • ${t.subtasks.length} subtasks`
+                                    : ''}
+                                  {t.notes ? ' • Notes' : ''}
+                                </div>
+                              </div>
+                            )}
+                            {editing?.id === t.id ? (
+                              <button
+                                type="button"
+                                onClick={() => setEditing(null)}
+                                className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                              >
+                                Cancel
+                              </button>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  startEdit('template', { ...t, bucket: b.id })
+                                }
+                                className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() =>
+                                setExpanded((v) => (v === t.id ? null : t.id))
+                              }
+                              className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                              aria-expanded={expanded === t.id}
+                              aria-label="Notes and subtasks"
+                            >
+                              {expanded === t.id ? '▴' : '▾'}
+                            </button>
+                            <button
                               type="button"
                               onClick={() => removeTemplateItem(b.id, idx)}
                               className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
                             >
                               Remove
                             </button>
+                            {expanded === t.id &&
+                              renderDetails(t, (label, fn) =>
+                                changeTemplate(b.id, t.id, label, fn)
+                              )}
                           </li>
                         ))}
                       </ul>
@@ -702,9 +3585,219 @@ export default function App() {
               })}
             </div>
 
+            <div className={cls('mt-4', card)}>
+              <h2 className="text-base font-semibold">Goals</h2>
+              <p className="text-sm text-white/60">
+                How often an activity should get done in a week or a month.
+                Matched by name, so template and hand-added items both count.
+              </p>
+              {store.goals.length > 0 && (
+                <ul className="mt-3 space-y-2">
+                  {store.goals.map((g) => (
+                    <li
+                      key={g.id}
+                      className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-white/10 px-3 py-2"
+                    >
+                      <div className="text-sm">
+                        {g.activity}{' '}
+                        <span className="text-white/60">
+                          • {describeGoal(g)}
+                        </span>
+                        <span className="text-xs text-white/40">
+                          {' '}
+                          • since {g.since}
+                        </span>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => removeGoal(g.id)}
+                        className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <form
+                onSubmit={addGoal}
+                className="mt-3 grid gap-3 sm:grid-cols-[1fr_80px_100px_130px_auto]"
+              >
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Activity
+                  </label>
+                  <input
+                    value={goalActivity}
+                    onChange={(e) => setGoalActivity(e.target.value)}
+                    list="goal-activities"
+                    placeholder="e.g., Gym"
+                    className={input}
+                  />
+                  <datalist id="goal-activities">
+                    {activityNames.map((n) => (
+                      <option key={n} value={n} />
+                    ))}
+                  </datalist>
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Target
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={goalTarget}
+                    onChange={(e) => setGoalTarget(e.target.value)}
+                    className={input}
+                  />
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Count
+                  </label>
+                  <select
+                    value={goalUnit}
+                    onChange={(e) => setGoalUnit(e.target.value)}
+                    className={input}
+                  >
+                    {GOAL_UNITS.map((u) => (
+                      <option key={u.id} value={u.id}>
+                        {u.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Period
+                  </label>
+                  <select
+                    value={goalPeriod}
+                    onChange={(e) => setGoalPeriod(e.target.value)}
+                    className={input}
+                  >
+                    {GOAL_PERIODS.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="sm:pt-6">
+                  <button
+                    type="submit"
+                    className={cls(ghostBtn, 'text-sm px-4 py-2')}
+                  >
+                    Add
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            <div className={cls('mt-4', card)}>
+              <h2 className="text-base font-semibold">Time buckets</h2>
+              <p className="text-sm text-white/60">
+                Shared by all routines and days. Hours place activities in
+                calendar exports.
+              </p>
+              <ul className="mt-3 space-y-2">
+                {buckets.map((b, i) => (
+                  <li
+                    key={b.id}
+                    className="flex flex-wrap items-center gap-2 rounded-xl border border-white/10 px-3 py-2"
+                  >
+                    <input
+                      value={b.label}
+                      onChange={(e) =>
+                        updateBucket(b.id, { label: e.target.value })
+                      }
+                      aria-label="Bucket name"
+                      className={cls(input, 'min-w-0 flex-1')}
+                    />
+                    <input
+                      key={`${b.id}:start:${b.start}`}
+                      type="number"
+                      min="0"
+                      max="23"
+                      defaultValue={b.start}
+                      onBlur={(e) => {
+                        // Applied once typed, so a half-typed hour does not
+                        // push the other one around
+                        const { start } = editBucket(b, {
+                          start: Number(e.target.value),
+                        });
+                        e.target.value = start;
+                        if (start !== b.start) updateBucket(b.id, { start });
+                      }}
+                      aria-label="Starts at hour"
+                      className={cls(input, 'w-16')}
+                    />
+                    <span className="text-xs text-white/40">to</span>
+                    <input
+                      key={`${b.id}:end:${b.end}`}
+                      type="number"
+                      min="1"
+                      max="24"
+                      defaultValue={b.end}
+                      onBlur={(e) => {
+                        const { end } = editBucket(b, {
+                          end: Number(e.target.value),
+                        });
+                        e.target.value = end;
+                        if (end !== b.end) updateBucket(b.id, { end });
+                      }}
+                      aria-label="Ends at hour"
+                      className={cls(input, 'w-16')}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => moveBucket(b.id, -1)}
+                      disabled={i === 0}
+                      className={ghostBtn}
+                      aria-label="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveBucket(b.id, 1)}
+                      disabled={i === buckets.length - 1}
+                      className={ghostBtn}
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeBucket(b.id)}
+                      disabled={buckets.length < 2}
+                      className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+                    >
+                      Delete
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={addBucket} className="mt-3 flex gap-2">
+                <input
+                  value={bucketName}
+                  onChange={(e) => setBucketName(e.target.value)}
+                  placeholder="e.g., Early morning, Night, Anytime"
+                  className={input}
+                />
+                <button
+                  type="submit"
+                  className={cls(ghostBtn, 'text-sm px-4 py-2')}
+                >
+                  Add
+                </button>
+              </form>
+            </div>
+
             <footer className="mt-8 text-xs text-white/40">
-              Add your routine once here, and each day will start with these
-              tasks.
+              Add your routine once here, and each day will start with the tasks
+              that repeat on it.
             </footer>
           </>
         )}
@@ -712,10 +3805,141 @@ export default function App() {
         {tab === 'history' && (
           <>
             <div className={card}>
-              <h2 className="text-base font-semibold">History (last 7 days)</h2>
-              <p className="text-sm text-white/60">
-                Tap a date to open it (read/edit).
-              </p>
+              <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
+                <div>
+                  <h2 className="text-base font-semibold">
+                    History ({retentionLabel(retentionDays)})
+                  </h2>
+                  <p className="text-sm text-white/60">
+                    Tap a date to open it (read/edit).
+                  </p>
+                </div>
+                <div className="sm:w-40">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Keep history
+                  </label>
+                  <select
+                    value={String(retentionDays ?? 'forever')}
+                    onChange={(e) =>
+                      setRetention(
+                        e.target.value === 'forever'
+                          ? null
+                          : Number(e.target.value)
+                      )
+                    }
+                    className={input}
+                  >
+                    {RETENTION_OPTIONS.map((o) => (
+                      <option
+                        key={String(o.value)}
+                        value={String(o.value ?? 'forever')}
+                      >
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="mt-4">
+                <div className="flex items-center justify-between gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setHeatMonth((m) => addMonths(m, -1))}
+                    className={ghostBtn}
+                    aria-label="Previous month"
+                  >
+                    ←
+                  </button>
+                  <div className="text-sm font-medium">
+                    {monthLabel(heatMonth)}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setHeatMonth((m) => addMonths(m, 1))}
+                    className={ghostBtn}
+                    aria-label="Next month"
+                  >
+                    →
+                  </button>
+                </div>
+
+                <div className="mt-3 grid grid-cols-7 gap-1 text-center text-[11px] text-white/40">
+                  {WEEKDAYS.map((d) => (
+                    <div key={d}>{d}</div>
+                  ))}
+                </div>
+                <div className="mt-1 grid grid-cols-7 gap-1">
+                  {monthGrid(heatMonth)
+                    .flat()
+                    .map((k, i) => {
+                      if (!k) return <div key={`pad-${i}`} />;
+                      const day = Number(k.slice(8));
+                      const isTodayCell = k === today;
+                      if (!store.days?.[k] && oldestDay && k < oldestDay) {
+                        return (
+                          <div
+                            key={k}
+                            title={`${k}: no record`}
+                            className={cls(
+                              'grid aspect-square place-items-center rounded-lg border border-dashed border-white/10 text-[11px] text-white/25',
+                              isTodayCell && 'ring-1 ring-white/60'
+                            )}
+                          >
+                            {day}
+                          </div>
+                        );
+                      }
+                      if (!store.days?.[k]) {
+                        return (
+                          <button
+                            key={k}
+                            type="button"
+                            onClick={() => openDay(k)}
+                            title={`${k}: no record • ${
+                              k > today ? 'plan it' : 'backfill it'
+                            }`}
+                            className={cls(
+                              'grid aspect-square place-items-center rounded-lg border border-dashed border-white/10 text-[11px] text-white/25 transition hover:border-white/40 hover:text-white/70',
+                              isTodayCell && 'ring-1 ring-white/60'
+                            )}
+                          >
+                            {day}
+                          </button>
+                        );
+                      }
+                      const p = dayProgress(store.days[k]);
+                      return (
+                        <button
+                          key={k}
+                          type="button"
+                          onClick={() => openDay(k)}
+                          title={`${k}: ${p.done}/${p.total} done • ${p.rate}%`}
+                          className={cls(
+                            'grid aspect-square place-items-center rounded-lg text-[11px] font-medium transition hover:scale-105',
+                            heatClass(p.rate),
+                            isTodayCell && 'ring-1 ring-white/60'
+                          )}
+                        >
+                          {day}
+                        </button>
+                      );
+                    })}
+                </div>
+
+                <div className="mt-2 flex items-center justify-end gap-1 text-[11px] text-white/40">
+                  <span className="mr-1">No record</span>
+                  <span className="h-3 w-3 rounded border border-dashed border-white/20" />
+                  <span className="ml-2 mr-1">0%</span>
+                  {[0, 20, 40, 60, 80, 100].map((r) => (
+                    <span
+                      key={r}
+                      className={cls('h-3 w-3 rounded', heatClass(r))}
+                    />
+                  ))}
+                  <span className="ml-1">100%</span>
+                </div>
+              </div>
 
               {historyKeys.length === 0 ? (
                 <p className="mt-3 text-sm text-white/50">No history yet.</p>
@@ -725,7 +3949,7 @@ export default function App() {
                     const dayItems = normalizeDayItems(store.days?.[k]);
                     const d = dayItems.filter((x) => x.done).length;
                     const t = dayItems.length;
-                    const pct = t === 0 ? 0 : Math.round((d / t) * 100);
+                    const pct = progressRate(dayItems);
                     return (
                       <li
                         key={k}
@@ -733,7 +3957,7 @@ export default function App() {
                       >
                         <button
                           type="button"
-                          onClick={() => openHistoryDay(k)}
+                          onClick={() => openDay(k)}
                           className="flex w-full items-center justify-between gap-3 text-left"
                         >
                           <div>
@@ -742,13 +3966,30 @@ export default function App() {
                             </div>
                             <div className="mt-1 text-xs text-white/60">
                               {d}/{t} done • {pct}%
-                              {k === todayKey() ? ' • Today' : ''}
+                              {k === today ? ' • Today' : ''}
                             </div>
                           </div>
                           <span className="text-xs font-medium text-white/70">
                             Open →
                           </span>
                         </button>
+                        {store.logs?.[k] && (
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setHistoryTimeline((v) => (v === k ? null : k))
+                            }
+                            className="mt-2 text-xs font-medium text-white/50 hover:text-white/80"
+                            aria-expanded={historyTimeline === k}
+                          >
+                            {historyTimeline === k
+                              ? 'Hide timeline'
+                              : `Timeline (${store.logs[k].length})`}
+                          </button>
+                        )}
+                        {historyTimeline === k && (
+                          <Timeline events={store.logs?.[k] || []} />
+                        )}
                       </li>
                     );
                   })}
@@ -756,12 +3997,680 @@ export default function App() {
               )}
             </div>
 
+            <div className={cls('mt-4', card)}>
+              <h2 className="text-base font-semibold">Search</h2>
+              <p className="text-sm text-white/60">
+                Every stored day, by text, notes, subtasks or tag.
+              </p>
+              <div className="mt-3 grid gap-3 sm:grid-cols-[1fr_180px]">
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="e.g., gym"
+                  aria-label="Search activities"
+                  className={input}
+                />
+                <select
+                  value={searchTag}
+                  onChange={(e) => setSearchTag(e.target.value)}
+                  aria-label="Tag"
+                  className={input}
+                >
+                  <option value="">Any tag</option>
+                  {knownTags.map((t) => (
+                    <option key={t} value={t}>
+                      #{t}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {searchResults && (
+                <>
+                  <p className="mt-3 text-xs text-white/60">
+                    {searchResults.length} match
+                    {searchResults.length === 1 ? '' : 'es'} •{' '}
+                    {searchResults.filter((r) => r.item.done).length} done
+                  </p>
+                  <ul className="mt-2 space-y-1">
+                    {searchResults.slice(0, 100).map(({ dateKey: k, item }) => (
+                      <li key={`${k}:${item.id}`}>
+                        <button
+                          type="button"
+                          onClick={() => openDay(k)}
+                          className="flex w-full items-center justify-between gap-3 rounded-lg px-2 py-1.5 text-left text-sm hover:bg-white/5"
+                        >
+                          <span className="min-w-0">
+                            <span
+                              className={cls(
+                                item.done && 'text-white/40 line-through'
+                              )}
+                            >
+                              {item.text}
+                            </span>
+                            <TagChips tags={item.tags} />
+                          </span>
+                          <span className="shrink-0 text-xs text-white/50">
+                            {k} • {bucketLabel(buckets, item.bucket)}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {searchResults.length > 100 && (
+                    <p className="mt-2 text-xs text-white/40">
+                      Showing the 100 most recent.
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+
+            {store.goalResults.length > 0 && (
+              <div className={cls('mt-4', card)}>
+                <h2 className="text-base font-semibold">Goal results</h2>
+                <p className="text-sm text-white/60">
+                  Kept for every finished week and month, also after the days
+                  are gone.
+                </p>
+                <ul className="mt-3 space-y-1.5">
+                  {[...store.goalResults]
+                    .sort((a, b) =>
+                      a.end === b.end
+                        ? a.activity.localeCompare(b.activity)
+                        : a.end < b.end
+                        ? 1
+                        : -1
+                    )
+                    .map((r) => (
+                      <li
+                        key={r.id}
+                        className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm"
+                      >
+                        <div className="min-w-0">
+                          <span className="text-white/90">{r.activity}</span>{' '}
+                          <span className="text-xs text-white/50">
+                            {r.period === 'week'
+                              ? `Week of ${r.start}`
+                              : monthLabel(r.start.slice(0, 7))}{' '}
+                            • {describeGoal(r)}
+                          </span>
+                        </div>
+                        <span
+                          className={cls(
+                            'rounded-full px-2.5 py-0.5 text-xs font-medium ring-1',
+                            r.met
+                              ? 'bg-lime-400/15 text-lime-200 ring-lime-400/30'
+                              : 'bg-white/5 text-white/60 ring-white/15'
+                          )}
+                        >
+                          {r.achieved}/{r.target}
+                          {r.met ? ' ✓' : ''}
+                        </span>
+                      </li>
+                    ))}
+                </ul>
+              </div>
+            )}
+
+            <div className={cls('mt-4', card)}>
+              <h2 className="text-base font-semibold">Export a date range</h2>
+              <p className="text-sm text-white/60">
+                CSV for spreadsheets, .ics to-dos for calendar apps.
+              </p>
+              <div className="mt-3 grid gap-3 sm:grid-cols-[1fr_1fr_auto]">
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    From
+                  </label>
+                  <input
+                    type="date"
+                    value={exportFrom}
+                    max={exportTo}
+                    onChange={(e) => setExportFrom(e.target.value)}
+                    className={input}
+                  />
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    To
+                  </label>
+                  <input
+                    type="date"
+                    value={exportTo}
+                    min={exportFrom}
+                    onChange={(e) => setExportTo(e.target.value)}
+                    className={input}
+                  />
+                </div>
+                <div className="flex gap-2 sm:pt-6">
+                  <button
+                    type="button"
+                    onClick={() => exportRange('csv')}
+                    disabled={!exportFrom || !exportTo}
+                    className={ghostBtn}
+                  >
+                    CSV
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => exportRange('ics')}
+                    disabled={!exportFrom || !exportTo}
+                    className={ghostBtn}
+                  >
+                    Calendar (.ics)
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className={cls('mt-4', card)}>
+              <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                  <h2 className="text-base font-semibold">Backup</h2>
+                  <p className="text-sm text-white/60">
+                    Move your routines and history to another browser.
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={exportBackup}
+                    className={ghostBtn}
+                  >
+                    Export JSON
+                  </button>
+                  <label className={cls(ghostBtn, 'cursor-pointer')}>
+                    Import JSON…
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={readImportFile}
+                      className="hidden"
+                    />
+                  </label>
+                </div>
+              </div>
+
+              {importState?.error && (
+                <p className="mt-3 text-sm text-red-300">
+                  {importState.fileName}: {importState.error}
+                </p>
+              )}
+
+              {importPlan && (
+                <div className="mt-4 rounded-xl border border-white/10 bg-white/5 p-3">
+                  <div className="text-sm font-medium">
+                    Preview of {importState.fileName}
+                  </div>
+
+                  <div className="mt-2 flex flex-wrap gap-4 text-sm text-white/70">
+                    {[
+                      { id: 'merge', label: 'Merge items by id' },
+                      { id: 'overwrite', label: 'Overwrite existing days' },
+                    ].map((m) => (
+                      <label key={m.id} className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name="import-mode"
+                          checked={importState.mode === m.id}
+                          onChange={() =>
+                            setImportState((prev) => ({ ...prev, mode: m.id }))
+                          }
+                        />
+                        {m.label}
+                      </label>
+                    ))}
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={importState.routines}
+                        onChange={(e) =>
+                          setImportState((prev) => ({
+                            ...prev,
+                            routines: e.target.checked,
+                          }))
+                        }
+                        className="h-4 w-4 rounded border-white/20 bg-black/40"
+                      />
+                      Replace routines too
+                    </label>
+                  </div>
+
+                  {importPlan.days.length === 0 ? (
+                    <p className="mt-3 text-sm text-white/50">
+                      No days to import.
+                    </p>
+                  ) : (
+                    <ul className="mt-3 max-h-64 space-y-1 overflow-y-auto text-xs text-white/70">
+                      {importPlan.days.map((row) => (
+                        <li
+                          key={row.dateKey}
+                          className="flex items-center justify-between gap-3"
+                        >
+                          <span>{row.dateKey}</span>
+                          <span>
+                            {row.status === 'add' &&
+                              `New day • ${row.added} item(s)`}
+                            {row.status === 'same' && 'Already up to date'}
+                            {row.status === 'merge' &&
+                              `Merge • +${row.added} new, ${row.changed} updated, ${row.kept} kept`}
+                            {row.status === 'overwrite' &&
+                              `Overwrite • ${row.kept} local item(s) replaced`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {(importPlan.skipped.length > 0 ||
+                    importState.dropped.length > 0) && (
+                    <p className="mt-2 text-xs text-amber-200/80">
+                      {importPlan.skipped.length > 0 &&
+                        `${importPlan.skipped.length} day(s) are older than your history setting and will be skipped. `}
+                      {importState.dropped.length > 0 &&
+                        `${importState.dropped.length} invalid record(s) in the file will be ignored.`}
+                    </p>
+                  )}
+
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={confirmImport}
+                      className={cls(
+                        'rounded-xl px-4 py-2 text-sm font-semibold text-black',
+                        rgb
+                      )}
+                    >
+                      Import
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setImportState(null)}
+                      className={ghostBtn}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <footer className="mt-8 text-xs text-white/40">
+              Stored locally in this browser.{' '}
+              {remote.endpoint
+                ? 'Synced with your server (Settings).'
+                : 'To use it on more devices, set up sync in Settings.'}
+            </footer>
+          </>
+        )}
+
+        {tab === 'stats' && stats && (
+          <>
+            <div className={card}>
+              <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
+                <div>
+                  <h2 className="text-base font-semibold">Stats</h2>
+                  <p className="text-sm text-white/60">
+                    {stats.keys.length} recorded day(s). Streaks count days an
+                    activity was on your list and got done.
+                  </p>
+                </div>
+                <div className="sm:w-40">
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Period
+                  </label>
+                  <select
+                    value={String(statsDays ?? 'all')}
+                    onChange={(e) =>
+                      setStatsDays(
+                        e.target.value === 'all' ? null : Number(e.target.value)
+                      )
+                    }
+                    className={input}
+                  >
+                    <option value="7">Last 7 days</option>
+                    <option value="30">Last 30 days</option>
+                    <option value="90">Last 90 days</option>
+                    <option value="365">Last year</option>
+                    <option value="all">All history</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+
+            {[
+              {
+                id: 'routine',
+                title: 'Routine (templates)',
+                rows: stats.activities.filter((a) => a.inTemplates),
+              },
+              {
+                id: 'other',
+                title: 'Other activities',
+                rows: stats.activities.filter((a) => !a.inTemplates),
+              },
+            ].map((group) => (
+              <section key={group.id} className={cls('mt-4', card)}>
+                <h3 className="text-base font-semibold">{group.title}</h3>
+                {group.rows.length === 0 ? (
+                  <p className="mt-2 text-sm text-white/50">
+                    Nothing recorded in this period.
+                  </p>
+                ) : (
+                  <ul className="mt-3 space-y-2">
+                    {group.rows.map((a) => (
+                      <li
+                        key={a.key}
+                        className="rounded-xl border border-white/10 px-3 py-2"
+                      >
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="min-w-0">
+                            <div className="truncate text-sm">{a.text}</div>
+                            <div className="mt-0.5 text-[11px] text-white/40">
+                              {bucketLabel(buckets, a.bucket)} • {a.done}/
+                              {a.total} days
+                              {a.lastDone ? ` • last done ${a.lastDone}` : ''}
+                            </div>
+                          </div>
+                          <div className="shrink-0 text-right text-xs text-white/70">
+                            <div>{a.rate}%</div>
+                            <div className="text-white/40">
+                              streak {a.current} • best {a.longest}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="mt-2 h-1.5 overflow-hidden rounded-full bg-white/10">
+                          <div
+                            className={cls('h-full rounded-full', rgb)}
+                            style={{ width: `${a.rate}%` }}
+                          />
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            ))}
+
+            <div className="mt-4 grid gap-4 md:grid-cols-2">
+              <section className={card}>
+                <h3 className="text-base font-semibold">Buckets by week</h3>
+                <div className="mt-3 space-y-3">
+                  {buckets.map((b) => {
+                    const weeks = stats.trends[b.id].slice(-12);
+                    return (
+                      <div key={b.id}>
+                        <div className="text-xs text-white/60">{b.label}</div>
+                        <div className="mt-1 flex h-12 items-end gap-1">
+                          {weeks.map((w) => (
+                            <div
+                              key={w.week}
+                              title={`Week of ${w.week}: ${w.done}/${w.total} • ${w.rate}%`}
+                              className="flex h-full flex-1 items-end rounded bg-white/5"
+                            >
+                              <div
+                                className={cls('w-full rounded', rgb)}
+                                style={{ height: `${w.rate}%` }}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </section>
+
+              <section className={card}>
+                <h3 className="text-base font-semibold">By weekday</h3>
+                <ul className="mt-3 space-y-2">
+                  {stats.weekdays.map((d) => (
+                    <li key={d.label} className="flex items-center gap-3">
+                      <span className="w-8 text-xs text-white/60">
+                        {d.label}
+                      </span>
+                      <div className="h-2 flex-1 overflow-hidden rounded-full bg-white/10">
+                        <div
+                          className={cls('h-full rounded-full', rgb)}
+                          style={{ width: `${d.rate}%` }}
+                        />
+                      </div>
+                      <span className="w-20 text-right text-xs text-white/60">
+                        {d.done}/{d.total} • {d.rate}%
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+
+              <section className={card}>
+                <h3 className="text-base font-semibold">By tag</h3>
+                {stats.tags.length === 0 ? (
+                  <p className="mt-2 text-sm text-white/50">
+                    No tagged activities in this period. Add #tags to activities
+                    or templates.
+                  </p>
+                ) : (
+                  <ul className="mt-3 space-y-2">
+                    {stats.tags.map((t) => (
+                      <li key={t.tag} className="flex items-center gap-3">
+                        <span className="w-24 truncate text-xs text-cyan-200/80">
+                          #{t.tag}
+                        </span>
+                        <div className="h-2 flex-1 overflow-hidden rounded-full bg-white/10">
+                          <div
+                            className={cls('h-full rounded-full', rgb)}
+                            style={{ width: `${t.rate}%` }}
+                          />
+                        </div>
+                        <span
+                          className="w-32 text-right text-xs text-white/60"
+                          title={`Done on ${t.days} day(s)`}
+                        >
+                          {t.done}/{t.total} • {t.rate}% • {t.days}d
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </div>
+
             <footer className="mt-8 text-xs text-white/40">
-              Stored locally. If you want cloud sync later, we can add login +
-              database.
+              Based on the history kept in this browser (
+              {retentionLabel(retentionDays)}).
             </footer>
           </>
         )}
+
+        {tab === 'settings' && (
+          <>
+            <div className={cls('mb-4', card)}>
+              <h2 className="text-base font-semibold">Day</h2>
+              <p className="text-sm text-white/60">
+                When a new day begins. With a later start, activities done after
+                midnight still count for the evening before.
+              </p>
+              <div className="mt-4 grid gap-3 sm:grid-cols-2">
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Day starts at
+                  </label>
+                  <select
+                    value={dayStartHour}
+                    onChange={(e) =>
+                      setClock({ dayStartHour: Number(e.target.value) })
+                    }
+                    className={input}
+                  >
+                    {DAY_START_OPTIONS.map((h) => (
+                      <option key={h} value={h}>
+                        {h === 0
+                          ? 'Midnight'
+                          : `${String(h).padStart(2, '0')}:00`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Time zone
+                  </label>
+                  <select
+                    value={timeZone}
+                    onChange={(e) => setClock({ timeZone: e.target.value })}
+                    className={input}
+                  >
+                    <option value="">This device ({deviceTimeZone()})</option>
+                    {zoneOptions.map((z) => (
+                      <option key={z} value={z}>
+                        {z}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p className="mt-3 text-xs text-white/40">
+                It is {formatClock(Date.now())} in {activeTimeZone()}; today is{' '}
+                {today}. A fixed time zone keeps your days in place while
+                travelling.
+              </p>
+            </div>
+
+            <div className={card}>
+              <h2 className="text-base font-semibold">Sync</h2>
+              <p className="text-sm text-white/60">
+                Keep this tracker in step across devices through a server you
+                run yourself. Everything keeps working offline; changes wait
+                here until the server can be reached.
+              </p>
+
+              <form
+                onSubmit={saveSyncSettings}
+                className="mt-4 grid gap-3 sm:grid-cols-2"
+              >
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Endpoint
+                  </label>
+                  <input
+                    type="url"
+                    value={syncEndpoint}
+                    onChange={(e) => setSyncEndpoint(e.target.value)}
+                    placeholder="https://example.com/tracker"
+                    className={input}
+                  />
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-white/60">
+                    Token
+                  </label>
+                  <input
+                    type="password"
+                    autoComplete="off"
+                    value={syncToken}
+                    onChange={(e) => setSyncToken(e.target.value)}
+                    placeholder="Optional"
+                    className={input}
+                  />
+                </div>
+                <div className="flex flex-wrap gap-2 sm:col-span-2">
+                  <button
+                    type="submit"
+                    disabled={!syncEndpoint.trim()}
+                    className={cls(
+                      'rounded-xl px-4 py-2 text-sm font-semibold text-black disabled:opacity-40',
+                      rgb
+                    )}
+                  >
+                    {remote.endpoint ? 'Save' : 'Turn on sync'}
+                  </button>
+                  {remote.endpoint && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={runSync}
+                        disabled={syncBusy}
+                        className={cls(ghostBtn, 'disabled:opacity-40')}
+                      >
+                        {syncBusy ? 'Syncing…' : 'Sync now'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={turnOffSync}
+                        className={ghostBtn}
+                      >
+                        Turn off
+                      </button>
+                    </>
+                  )}
+                </div>
+              </form>
+
+              {remote.endpoint && (
+                <p
+                  role="status"
+                  className={cls(
+                    'mt-4 text-sm',
+                    remote.lastError ? 'text-amber-200/90' : 'text-white/70'
+                  )}
+                >
+                  {remote.lastError
+                    ? remote.lastError.message
+                    : remote.lastSyncAt
+                    ? `Last synced at ${formatEventTime(remote.lastSyncAt)}.`
+                    : 'Not synced yet.'}
+                  {queued > 0 && ` ${queued} change(s) waiting to be sent.`}
+                </p>
+              )}
+
+              <p className="mt-4 text-xs text-white/40">
+                The server answers <code>GET /changes?since=…</code> and{' '}
+                <code>POST /changes</code> under the endpoint;
+                server/mock-sync-server.js is a small one to try it with. The
+                token is kept in this browser only and sent as a bearer token.
+              </p>
+            </div>
+          </>
+        )}
+
+        {overlay === 'palette' && (
+          <CommandPalette
+            commandsFor={paletteCommands}
+            onClose={() => setOverlay(null)}
+          />
+        )}
+        {overlay === 'help' && (
+          <ShortcutHelp onClose={() => setOverlay(null)} />
+        )}
+
+        {toast && (
+          <div
+            role="status"
+            className="fixed inset-x-0 bottom-6 z-50 mx-auto flex w-fit max-w-[90vw] items-center gap-3 rounded-2xl bg-zinc-900/95 px-4 py-3 text-sm text-white/90 shadow-lg ring-1 ring-white/15"
+          >
+            <span className="truncate">{toast.label}</span>
+            <button
+              type="button"
+              onClick={undoLast}
+              className={cls(
+                'rounded-lg px-3 py-1 text-sm font-semibold text-black',
+                rgb
+              )}
+            >
+              Undo
+            </button>
+            <button
+              type="button"
+              onClick={() => setToast(null)}
+              className="rounded-lg px-2 py-1 text-xs font-medium text-white/50 hover:bg-white/10 hover:text-white/80"
+              aria-label="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,119 @@
+import { formatClock } from './clock';
+import { uid } from './utils';
+
+// Per-day audit log kept in store.logs: { [dateKey]: event[] }, oldest first.
+// An event is { id, at, type, itemId, text, detail? } and keeps its own copy
+// of the text so it still reads right after the item is edited or deleted.
+
+export const EVENT_TYPES = {
+  added: 'Added',
+  completed: 'Completed',
+  uncompleted: 'Marked not done',
+  deleted: 'Deleted',
+  edited: 'Edited',
+  reset: 'Reset from templates',
+  carried: 'Carried over',
+};
+
+export function makeEvent(type, item, detail, at = Date.now()) {
+  return {
+    id: uid(),
+    at,
+    type,
+    itemId: item?.id || null,
+    text: item?.text || '',
+    ...(detail ? { detail } : {}),
+  };
+}
+
+// Appends `events` to the log of `dateKey`; returns a new logs object
+export function appendEvents(logs, dateKey, events) {
+  if (events.length === 0) return logs || {};
+  return {
+    ...(logs || {}),
+    [dateKey]: [...(logs?.[dateKey] || []), ...events],
+  };
+}
+
+function normalizeEvent(e) {
+  if (!e || typeof e !== 'object' || !(e.type in EVENT_TYPES)) return null;
+  if (typeof e.at !== 'number') return null;
+  return {
+    id: typeof e.id === 'string' ? e.id : uid(),
+    at: e.at,
+    type: e.type,
+    itemId: typeof e.itemId === 'string' ? e.itemId : null,
+    text: String(e.text || ''),
+    ...(typeof e.detail === 'string' && e.detail ? { detail: e.detail } : {}),
+  };
+}
+
+export function normalizeLogs(logs) {
+  const out = {};
+  if (!logs || typeof logs !== 'object') return out;
+  for (const [dateKey, list] of Object.entries(logs)) {
+    if (!Array.isArray(list)) continue;
+    const events = list.map(normalizeEvent).filter(Boolean);
+    if (events.length > 0) out[dateKey] = events.sort((a, b) => a.at - b.at);
+  }
+  return out;
+}
+
+// Union by event id, used when importing a day that exists on both sides
+export function mergeEvents(local = [], incoming = []) {
+  const ids = new Set(local.map((e) => e.id));
+  return [...local, ...incoming.filter((e) => !ids.has(e.id))].sort(
+    (a, b) => a.at - b.at
+  );
+}
+
+// Events for an item list that changed from `before` to `after`, matched by
+// id: additions, deletions, done flips and text/bucket/time/tag edits.
+export function diffEvents(before, after, at = Date.now()) {
+  const old = new Map(before.map((it) => [it.id, it]));
+  const events = [];
+  for (const it of after) {
+    const prev = old.get(it.id);
+    old.delete(it.id);
+    if (!prev) {
+      events.push(makeEvent('added', it, null, at));
+      continue;
+    }
+    if (prev.done !== it.done) {
+      events.push(
+        makeEvent(it.done ? 'completed' : 'uncompleted', it, null, at)
+      );
+    }
+    if (prev.text !== it.text) {
+      events.push(makeEvent('edited', it, `was "${prev.text}"`, at));
+    } else if (
+      prev.bucket !== it.bucket ||
+      prev.time !== it.time ||
+      String(prev.tags || '') !== String(it.tags || '')
+    ) {
+      events.push(makeEvent('edited', it, null, at));
+    }
+  }
+  for (const it of old.values())
+    events.push(makeEvent('deleted', it, null, at));
+  return events;
+}
+
+// In the configured time zone, like the day keys
+export function formatEventTime(at) {
+  return formatClock(at);
+}
+
+// Stamps completedAt on items that became done and drops it from items that
+// were un-done
+export function stampCompletion(before, after, at = Date.now()) {
+  const wasDone = new Map(before.map((it) => [it.id, it.done]));
+  return after.map((it) => {
+    if (it.done && !wasDone.get(it.id)) return { ...it, completedAt: at };
+    if (!it.done && it.completedAt != null) {
+      const { completedAt, ...rest } = it;
+      return rest;
+    }
+    return it;
+  });
+}
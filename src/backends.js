@@ -0,0 +1,199 @@
+import { safeJSONParse } from './utils';
+
+// Where the store physically lives.
+// A backend has two async methods:
+// - read()        -> the raw stored store (object, JSON string or null)
+// - write(store)  -> resolves when the store is durable, rejects on failure
+//
+// IndexedDB is preferred (one record per day for items and for the activity
+// log, so a year of history does not hit the ~5 MB localStorage quota). localStorage is the fallback when
+// IndexedDB is unavailable, e.g. in some private browsing modes.
+
+export const STORAGE_KEY = 'daily-activities-tracker:v2';
+
+const DB_NAME = 'daily-activities-tracker';
+const DB_VERSION = 2;
+const META = 'meta';
+const DAYS = 'days';
+const LOGS = 'logs';
+const META_KEY = 'store';
+
+// Store fields kept as one record per day key, by object store name
+const PER_DAY = { days: DAYS, logs: LOGS };
+
+export function createLocalStorageBackend(storage = window.localStorage) {
+  return {
+    name: 'localStorage',
+    async read() {
+      return storage.getItem(STORAGE_KEY);
+    },
+    async write(store) {
+      storage.setItem(STORAGE_KEY, JSON.stringify(store));
+    },
+  };
+}
+
+function req(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// A tab still running an older version that does not let go of the
+// database blocks the upgrade. That is reported instead of waiting, and
+// instead of falling back to localStorage, which would split the data.
+function openDb(idb) {
+  return new Promise((resolve, reject) => {
+    const r = idb.open(DB_NAME, DB_VERSION);
+    let blocked = false;
+    r.onupgradeneeded = () => {
+      const db = r.result;
+      if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+      if (!db.objectStoreNames.contains(DAYS)) db.createObjectStore(DAYS);
+      if (!db.objectStoreNames.contains(LOGS)) db.createObjectStore(LOGS);
+    };
+    r.onblocked = () => {
+      blocked = true;
+      const err = new Error(
+        'The tracker is open in another tab. Close it, then reload this page.'
+      );
+      err.name = 'BlockedError';
+      reject(err);
+    };
+    r.onsuccess = () => {
+      const db = r.result;
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // A newer version opened in another tab: let it upgrade. Writes from
+      // this tab fail from then on and show the save error.
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    r.onerror = () => reject(r.error);
+  });
+}
+
+async function readAll(objectStore) {
+  const [keys, values] = await Promise.all([
+    req(objectStore.getAllKeys()),
+    req(objectStore.getAll()),
+  ]);
+  const out = {};
+  keys.forEach((k, i) => {
+    out[k] = values[i];
+  });
+  return out;
+}
+
+async function readDb(db) {
+  const names = Object.values(PER_DAY);
+  const tx = db.transaction([META, ...names], 'readonly');
+  const [meta, ...perDay] = await Promise.all([
+    req(tx.objectStore(META).get(META_KEY)),
+    ...names.map((name) => readAll(tx.objectStore(name))),
+  ]);
+  if (!meta) return null;
+  const out = { ...meta };
+  Object.keys(PER_DAY).forEach((field, i) => {
+    out[field] = perDay[i];
+  });
+  return out;
+}
+
+// Only days whose record changed since the last write are put, and days that
+// disappeared (pruned) are deleted. Relies on the app updating immutably.
+async function writeDb(db, store, last) {
+  const meta = { ...store };
+  for (const field of Object.keys(PER_DAY)) delete meta[field];
+  const tx = db.transaction([META, ...Object.values(PER_DAY)], 'readwrite');
+  tx.objectStore(META).put(meta, META_KEY);
+  for (const [field, name] of Object.entries(PER_DAY)) {
+    const records = store[field] || {};
+    const before = last?.[field] || {};
+    const objectStore = tx.objectStore(name);
+    for (const [k, value] of Object.entries(records)) {
+      if (before[k] !== value) objectStore.put(value, k);
+    }
+    for (const k of Object.keys(before)) {
+      if (!(k in records)) objectStore.delete(k);
+    }
+  }
+  await done(tx);
+}
+
+// One-time move of the old single localStorage key into IndexedDB. The key
+// is only removed after the IndexedDB transaction has committed. A value
+// that does not parse is returned instead, for read() to hand to loadStore,
+// which sets it aside and reports it.
+async function migrateFromLocalStorage(db, storage) {
+  if (await readDb(db)) return null;
+  const raw = storage.getItem(STORAGE_KEY);
+  if (!raw) return null;
+  const parsed = safeJSONParse(raw);
+  if (!parsed || typeof parsed !== 'object') return raw;
+  await writeDb(db, parsed, null);
+  storage.removeItem(STORAGE_KEY);
+  return null;
+}
+
+export async function createIndexedDbBackend(
+  idb = window.indexedDB,
+  storage = window.localStorage
+) {
+  const db = await openDb(idb);
+  let unreadable = await migrateFromLocalStorage(db, storage);
+  let last = null;
+  let queue = Promise.resolve();
+  return {
+    name: 'indexedDB',
+    async read() {
+      last = await readDb(db);
+      return last || unreadable;
+    },
+    write(store) {
+      // Serialize writes so a slow one cannot land after a newer one
+      const run = queue.then(async () => {
+        await writeDb(db, store, last);
+        last = store;
+        // loadStore only lets the app save once the old value is set aside
+        if (unreadable) {
+          storage.removeItem(STORAGE_KEY);
+          unreadable = null;
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+let opening = null;
+
+// Picks the best available backend once per page load.
+export function openBackend() {
+  if (!opening) {
+    opening = (async () => {
+      if (typeof window !== 'undefined' && window.indexedDB) {
+        try {
+          return await createIndexedDbBackend();
+        } catch (err) {
+          if (err.name === 'BlockedError') throw err;
+          // otherwise fall through to localStorage
+        }
+      }
+      return createLocalStorageBackend();
+    })();
+  }
+  return opening;
+}
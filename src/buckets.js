@@ -0,0 +1,67 @@
+import { uid } from './utils';
+
+// Time-of-day buckets, stored in store.buckets and editable by the user.
+// `start`/`end` are the hours used when an activity has to be placed on a
+// clock, e.g. in calendar exports.
+export const DEFAULT_BUCKETS = [
+  { id: 'morning', label: 'Morning', start: 8, end: 12 },
+  { id: 'noon', label: 'Noon', start: 12, end: 17 },
+  { id: 'evening', label: 'Evening', start: 17, end: 22 },
+];
+
+function hour(v, fallback) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) && n >= 0 && n <= 24 ? n : fallback;
+}
+
+// 0 <= start < end <= 24. When they cross, the one named by `kept` (the
+// hour being edited) stays and the other gives way.
+export function clampHours(start, end, kept = 'start') {
+  const s = Math.min(23, Math.max(0, Math.round(start) || 0));
+  const e = Math.min(24, Math.max(1, Math.round(end) || 0));
+  if (e > s) return { start: s, end: e };
+  return kept === 'end' ? { start: e - 1, end: e } : { start: s, end: s + 1 };
+}
+
+export function makeBucket(label, start = 9, end = 17) {
+  return { id: uid(), label, start, end };
+}
+
+// Without a single usable bucket in `list`, `fallback` (the defaults)
+export function normalizeBuckets(list, fallback = DEFAULT_BUCKETS) {
+  const out = [];
+  const ids = new Set();
+  for (const b of Array.isArray(list) ? list : []) {
+    if (!b || typeof b !== 'object' || !b.id || ids.has(b.id)) continue;
+    const label = String(b.label || '').trim() || 'Untitled';
+    ids.add(b.id);
+    const start = hour(b.start, 9);
+    out.push({
+      id: String(b.id),
+      label,
+      ...clampHours(start, hour(b.end, start + 1)),
+    });
+  }
+  return out.length > 0 ? out : fallback.map((b) => ({ ...b }));
+}
+
+// A label or hour edit from the settings form
+export function editBucket(bucket, patch) {
+  const next = { ...bucket, ...patch };
+  const kept = 'end' in patch ? 'end' : 'start';
+  return { ...next, ...clampHours(next.start, next.end, kept) };
+}
+
+export function bucketLabel(buckets, id) {
+  return buckets.find((b) => b.id === id)?.label || id;
+}
+
+// Moves every template entry of bucket `from` to the end of bucket `to`
+export function remapTemplates(templates, from, to) {
+  const { [from]: moved = [], ...rest } = templates || {};
+  return { ...rest, [to]: [...(rest[to] || []), ...moved] };
+}
+
+export function remapItems(items, from, to) {
+  return items.map((it) => (it.bucket === from ? { ...it, bucket: to } : it));
+}
@@ -0,0 +1,42 @@
+import { clampHours, editBucket, normalizeBuckets } from './buckets';
+
+const morning = { id: 'morning', label: 'Morning', start: 8, end: 12 };
+
+test('hours stay within the day and in order', () => {
+  expect(clampHours(-3, 30)).toEqual({ start: 0, end: 24 });
+  expect(clampHours(24, 24)).toEqual({ start: 23, end: 24 });
+  expect(clampHours(9.6, 17.2)).toEqual({ start: 10, end: 17 });
+  expect(clampHours(NaN, 0)).toEqual({ start: 0, end: 1 });
+});
+
+test('the hour being edited wins when start and end cross', () => {
+  expect(editBucket(morning, { start: 14 })).toEqual({
+    ...morning,
+    start: 14,
+    end: 15,
+  });
+  expect(editBucket(morning, { end: 6 })).toEqual({
+    ...morning,
+    start: 5,
+    end: 6,
+  });
+  expect(editBucket(morning, { end: 99 }).end).toBe(24);
+  expect(editBucket(morning, { label: 'Early' })).toEqual({
+    ...morning,
+    label: 'Early',
+  });
+});
+
+test('normalizeBuckets applies the same rules to stored buckets', () => {
+  expect(
+    normalizeBuckets([
+      { id: 'a', label: ' ', start: 20, end: 18 },
+      { id: 'a', label: 'Duplicate' },
+      { id: 'b', label: 'Late', start: 24, end: 24 },
+    ])
+  ).toEqual([
+    { id: 'a', label: 'Untitled', start: 20, end: 21 },
+    { id: 'b', label: 'Late', start: 23, end: 24 },
+  ]);
+  expect(normalizeBuckets([], [])).toEqual([]);
+});
@@ -0,0 +1,36 @@
+import { normalizeDayItems } from './storage';
+import { uid } from './utils';
+
+// Carry-over of unfinished work into a new day.
+// Only manual items move: template items are re-created from the routine,
+// so carrying them would duplicate them.
+
+// The latest recorded day before `dateKey` (days the app was not opened
+// are skipped)
+export function previousDayKey(days, dateKey) {
+  return Object.keys(days || {})
+    .filter((k) => k < dateKey)
+    .sort()
+    .pop();
+}
+
+// Copies for `dateKey`, skipping texts the new day already has
+export function carryOverItems(days, dateKey, existing = []) {
+  const fromKey = previousDayKey(days, dateKey);
+  if (!fromKey) return [];
+  const texts = new Set(existing.map((it) => it.text.toLowerCase()));
+  const now = Date.now();
+  return normalizeDayItems(days[fromKey])
+    .filter(
+      (it) => !it.done && !it.fromTemplate && !texts.has(it.text.toLowerCase())
+    )
+    .map((it) => ({
+      ...it,
+      id: uid(),
+      createdAt: now,
+      carriedFrom: fromKey,
+      carryCount: (it.carryCount || 0) + 1,
+      // Until the user keeps or dismisses it on the Today view
+      carryPending: true,
+    }));
+}
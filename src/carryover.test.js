@@ -0,0 +1,52 @@
+import { carryOverItems, previousDayKey } from './carryover';
+
+const item = (id, fields) => ({
+  id,
+  text: id,
+  bucket: 'morning',
+  done: false,
+  createdAt: 1,
+  fromTemplate: false,
+  ...fields,
+});
+
+const days = {
+  '2024-05-10': [item('Old')],
+  '2024-05-13': [
+    item('Taxes', { carryCount: 2, carriedFrom: '2024-05-12' }),
+    item('Call mom'),
+    item('Done', { done: true }),
+    item('Run', { fromTemplate: true }),
+  ],
+  '2024-05-20': [item('Later')],
+};
+
+test('previousDayKey skips days the app was not opened', () => {
+  expect(previousDayKey(days, '2024-05-15')).toBe('2024-05-13');
+  expect(previousDayKey(days, '2024-05-13')).toBe('2024-05-10');
+  expect(previousDayKey(days, '2024-05-10')).toBeUndefined();
+  expect(previousDayKey(undefined, '2024-05-10')).toBeUndefined();
+});
+
+test('unfinished manual items move over as new, pending copies', () => {
+  const carried = carryOverItems(days, '2024-05-15');
+  expect(carried.map((it) => it.text)).toEqual(['Taxes', 'Call mom']);
+  expect(carried[0]).toMatchObject({
+    carriedFrom: '2024-05-13',
+    carryCount: 3,
+    carryPending: true,
+    done: false,
+  });
+  expect(carried[1].carryCount).toBe(1);
+  expect(carried.map((it) => it.id)).not.toContain('Taxes');
+  // The day they came from is left as it was
+  expect(days['2024-05-13'][0].id).toBe('Taxes');
+});
+
+test('texts the new day already has are not carried again', () => {
+  const carried = carryOverItems(days, '2024-05-15', [
+    item('x', { text: 'CALL MOM' }),
+  ]);
+  expect(carried.map((it) => it.text)).toEqual(['Taxes']);
+  expect(carryOverItems(days, '2024-05-10')).toEqual([]);
+});
@@ -0,0 +1,149 @@
+// Which day it is. A day key (YYYY-MM-DD) names the day a moment belongs
+// to: its wall-clock date in the chosen time zone, except that the hours
+// before `dayStartHour` still count as the day before (with a 4 AM start,
+// 1 AM on Saturday is Friday night). Both are judged on wall-clock time,
+// so DST changes neither move the boundary nor add or skip a day.
+//
+// The settings are applied with configureClock() on load and whenever they
+// change, so every todayKey() caller follows them without passing them on.
+
+export const DAY_START_OPTIONS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+let config = { dayStartHour: 0, timeZone: '' }; // '' = the device's zone
+
+export function deviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// IANA names the browser knows, for the settings picker; may be empty
+export function timeZoneNames() {
+  try {
+    return Intl.supportedValuesOf('timeZone');
+  } catch {
+    return [];
+  }
+}
+
+// The clock fields of settings, cleaned up
+export function clockSettings(settings) {
+  const hour = Number(settings?.dayStartHour);
+  const timeZone =
+    typeof settings?.timeZone === 'string' ? settings.timeZone : '';
+  return {
+    dayStartHour: DAY_START_OPTIONS.includes(hour) ? hour : 0,
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : '',
+  };
+}
+
+export function configureClock(settings) {
+  config = clockSettings(settings);
+}
+
+export function activeTimeZone() {
+  return config.timeZone || deviceTimeZone();
+}
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of the moment `ms` in `timeZone`
+export function wallClock(ms, timeZone = activeTimeZone()) {
+  const p = {};
+  for (const part of formatter(timeZone).formatToParts(new Date(ms))) {
+    p[part.type] = Number(part.value);
+  }
+  return {
+    year: p.year,
+    month: p.month,
+    day: p.day,
+    hour: p.hour % 24,
+    minute: p.minute,
+    second: p.second,
+  };
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Calendar arithmetic in UTC, where no day is longer than another
+function shiftKey(key, n) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+export function dateKeyAt(ms, { dayStartHour, timeZone } = config) {
+  const p = wallClock(ms, timeZone || deviceTimeZone());
+  const key = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  return p.hour < dayStartHour ? shiftKey(key, -1) : key;
+}
+
+export function todayKey(now = Date.now()) {
+  return dateKeyAt(now);
+}
+
+// How far `timeZone` is ahead of UTC at the moment `ms`
+function offsetAt(ms, timeZone) {
+  const p = wallClock(ms, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// The moment an "HH:MM" time of day `dateKey` happens. Times before the day
+// start are on the next calendar date. The offset is looked up twice so a
+// time next to a DST change lands on the right side of it.
+export function keyTimeToMs(
+  dateKey,
+  time,
+  { dayStartHour, timeZone } = config
+) {
+  const [h, m] = time.split(':').map(Number);
+  const key = h < dayStartHour ? shiftKey(dateKey, 1) : dateKey;
+  const [y, mo, d] = key.split('-').map(Number);
+  const zone = timeZone || deviceTimeZone();
+  const wall = Date.UTC(y, mo - 1, d, h, m);
+  const first = wall - offsetAt(wall, zone);
+  return wall - offsetAt(first, zone);
+}
+
+// Minutes from the start of the day to an "HH:MM" time, so 01:00 sorts
+// after 23:00 when the day starts at 4
+export function minutesIntoDay(time) {
+  const [h, m] = time.split(':').map(Number);
+  return (h * 60 + m - config.dayStartHour * 60 + 24 * 60) % (24 * 60);
+}
+
+// "HH:MM" of the moment `ms` in the configured zone
+export function formatClock(ms) {
+  const p = wallClock(ms);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
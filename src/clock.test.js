@@ -0,0 +1,80 @@
+import {
+  clockSettings,
+  configureClock,
+  dateKeyAt,
+  formatClock,
+  keyTimeToMs,
+  minutesIntoDay,
+  todayKey,
+} from './clock';
+
+const berlin = { dayStartHour: 0, timeZone: 'Europe/Berlin' };
+
+afterEach(() => configureClock({}));
+
+test('clockSettings keeps only known hours and zones', () => {
+  expect(clockSettings({ dayStartHour: 4, timeZone: 'Asia/Tokyo' })).toEqual({
+    dayStartHour: 4,
+    timeZone: 'Asia/Tokyo',
+  });
+  expect(clockSettings({ dayStartHour: 13, timeZone: 'Mars/Base' })).toEqual({
+    dayStartHour: 0,
+    timeZone: '',
+  });
+  expect(clockSettings(undefined)).toEqual({ dayStartHour: 0, timeZone: '' });
+});
+
+test('day keys follow the time zone', () => {
+  const at = Date.UTC(2024, 4, 15, 23, 30);
+  expect(dateKeyAt(at, { dayStartHour: 0, timeZone: 'UTC' })).toBe(
+    '2024-05-15'
+  );
+  expect(dateKeyAt(at, berlin)).toBe('2024-05-16');
+  expect(dateKeyAt(at, { dayStartHour: 0, timeZone: 'America/New_York' })).toBe(
+    '2024-05-15'
+  );
+});
+
+test('hours before the day start belong to the day before', () => {
+  // 02:30 in Berlin on the 16th
+  const at = Date.UTC(2024, 4, 16, 0, 30);
+  expect(dateKeyAt(at, berlin)).toBe('2024-05-16');
+  expect(dateKeyAt(at, { ...berlin, dayStartHour: 4 })).toBe('2024-05-15');
+  // Across a month and a year
+  const newYear = Date.UTC(2024, 0, 1, 1, 0);
+  expect(dateKeyAt(newYear, { ...berlin, dayStartHour: 4 })).toBe('2023-12-31');
+});
+
+test('DST changes neither move the day start nor skip a day', () => {
+  const settings = { dayStartHour: 4, timeZone: 'Europe/Berlin' };
+  // 2024-03-31 clocks go from 02:00 to 03:00; 03:59 is still Saturday's
+  expect(dateKeyAt(Date.UTC(2024, 2, 31, 1, 59), settings)).toBe('2024-03-30');
+  expect(dateKeyAt(Date.UTC(2024, 2, 31, 2, 0), settings)).toBe('2024-03-31');
+  // 2024-10-27 clocks go back from 03:00 to 02:00
+  expect(dateKeyAt(Date.UTC(2024, 9, 27, 2, 59), settings)).toBe('2024-10-26');
+  expect(dateKeyAt(Date.UTC(2024, 9, 27, 3, 0), settings)).toBe('2024-10-27');
+});
+
+test('keyTimeToMs finds the moment of a time on a day', () => {
+  expect(keyTimeToMs('2024-05-15', '09:30', berlin)).toBe(
+    Date.UTC(2024, 4, 15, 7, 30)
+  );
+  // Right after the DST change
+  expect(keyTimeToMs('2024-03-31', '03:30', berlin)).toBe(
+    Date.UTC(2024, 2, 31, 1, 30)
+  );
+  // Before the day start it is the next calendar date
+  expect(
+    keyTimeToMs('2024-05-15', '01:00', { ...berlin, dayStartHour: 4 })
+  ).toBe(Date.UTC(2024, 4, 15, 23, 0));
+});
+
+test('configureClock applies to todayKey, formatClock and minutesIntoDay', () => {
+  configureClock({ dayStartHour: 4, timeZone: 'Asia/Tokyo' });
+  // 03:00 in Tokyo on the 16th
+  const at = Date.UTC(2024, 4, 15, 18, 0);
+  expect(todayKey(at)).toBe('2024-05-15');
+  expect(formatClock(at)).toBe('03:00');
+  expect(minutesIntoDay('04:00')).toBe(0);
+  expect(minutesIntoDay('01:00')).toBeGreaterThan(minutesIntoDay('23:00'));
+});
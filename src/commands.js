@@ -0,0 +1,88 @@
+// Keyboard control: the command palette (Ctrl+K) and single-key shortcuts.
+// A command is { id, title, group, hint?, run }. The palette lists the
+// commands whose title fuzzy-matches what was typed, best first (ties keep
+// their order); commands built from the typed text itself (add "<text>" to
+// a bucket) carry `fromQuery` and always come last.
+
+// Shown in the help overlay (?); the handling is in App
+export const SHORTCUTS = [
+  { keys: ['Ctrl', 'K'], label: 'Command palette' },
+  { keys: ['?'], label: 'Show / hide this help' },
+  {
+    keys: ['1', '–', '5'],
+    label: 'Today, Templates, History, Stats, Settings',
+  },
+  { keys: ['/'], label: 'Add an activity' },
+  { keys: ['['], label: 'Previous day' },
+  { keys: [']'], label: 'Next day' },
+  { keys: ['t'], label: 'Back to today' },
+  { keys: ['j', '↓'], label: 'Next activity' },
+  { keys: ['k', '↑'], label: 'Previous activity' },
+  { keys: ['h', '←'], label: 'Activity in the bucket to the left' },
+  { keys: ['l', '→'], label: 'Activity in the bucket to the right' },
+  { keys: ['x', 'Space'], label: 'Complete / reopen the activity' },
+  { keys: ['e'], label: 'Edit the activity' },
+  { keys: ['Del', 'Backspace'], label: 'Delete the activity' },
+  { keys: ['Esc'], label: 'Clear the selection' },
+  { keys: ['Ctrl', 'Z'], label: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], label: 'Redo' },
+];
+
+// How well `query` matches `text`, or -1 when it does not: every query
+// character has to appear in order. Runs of consecutive characters and
+// matches at the start of a word score higher.
+export function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  const t = String(text).toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let at = 0;
+  let run = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const found = t.indexOf(ch, at);
+    if (found === -1) return -1;
+    run = found === at ? run + 1 : 1;
+    score += run * 2;
+    if (found === 0 || /[\s"“(/-]/.test(t[found - 1])) score += 3;
+    at = found + 1;
+  }
+  return score;
+}
+
+export function rankCommands(commands, query, limit = 40) {
+  const listed = commands.filter((c) => !c.fromQuery);
+  if (!query.trim()) return listed.slice(0, limit);
+  const matched = listed
+    .map((c) => ({ c, score: fuzzyScore(query, `${c.group} ${c.title}`) }))
+    .filter((m) => m.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map((m) => m.c)
+    .slice(0, limit);
+  return [...matched, ...commands.filter((c) => c.fromQuery)];
+}
+
+// Next item to select in the Today grid. `columns` holds the ids of the
+// visible items per bucket; `move` is 'next' | 'prev' | 'left' | 'right'.
+// Up and down run through all items in reading order; left and right keep
+// the position within the bucket where they can.
+export function moveSelection(columns, selected, move) {
+  const flat = columns.flat();
+  if (flat.length === 0) return null;
+  if (!flat.includes(selected)) {
+    return move === 'prev' ? flat[flat.length - 1] : flat[0];
+  }
+  if (move === 'next' || move === 'prev') {
+    const i = flat.indexOf(selected) + (move === 'next' ? 1 : -1);
+    return flat[Math.min(Math.max(i, 0), flat.length - 1)];
+  }
+  const col = columns.findIndex((ids) => ids.includes(selected));
+  const row = columns[col].indexOf(selected);
+  const step = move === 'right' ? 1 : -1;
+  for (let c = col + step; c >= 0 && c < columns.length; c += step) {
+    if (columns[c].length > 0) {
+      return columns[c][Math.min(row, columns[c].length - 1)];
+    }
+  }
+  return selected;
+}
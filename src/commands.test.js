@@ -0,0 +1,68 @@
+import { fuzzyScore, moveSelection, rankCommands, SHORTCUTS } from './commands';
+
+test('fuzzyScore needs every character in order', () => {
+  expect(fuzzyScore('', 'Anything')).toBe(0);
+  expect(fuzzyScore('stg', 'Go to Settings')).toBeGreaterThan(0);
+  expect(fuzzyScore('gts', 'Go to Settings')).toBeGreaterThan(0);
+  expect(fuzzyScore('zz', 'Go to Settings')).toBe(-1);
+  expect(fuzzyScore('yt', 'Today')).toBe(-1);
+});
+
+test('runs and word starts score higher', () => {
+  expect(fuzzyScore('set', 'Go to Settings')).toBeGreaterThan(
+    fuzzyScore('sts', 'Go to Settings')
+  );
+  expect(fuzzyScore('hi', 'Go to History')).toBeGreaterThan(
+    fuzzyScore('hi', 'Go to Archive')
+  );
+});
+
+const cmd = (id, title, group = 'Go to', extra) => ({
+  id,
+  title,
+  group,
+  run: () => {},
+  ...extra,
+});
+const commands = [
+  cmd('today', 'Today'),
+  cmd('history', 'History'),
+  cmd('stats', 'Stats'),
+  cmd('add', 'Add “st” to Morning', 'Add', { fromQuery: true }),
+];
+
+test('rankCommands puts the best match first and typed text last', () => {
+  const ids = (query, limit) =>
+    rankCommands(commands, query, limit).map((c) => c.id);
+  expect(ids('')).toEqual(['today', 'history', 'stats']);
+  expect(ids('', 2)).toEqual(['today', 'history']);
+  expect(ids('st')).toEqual(['stats', 'history', 'add']);
+  expect(ids('qqq')).toEqual(['add']);
+});
+
+describe('moveSelection', () => {
+  const columns = [['a', 'b', 'c'], [], ['d']];
+
+  test('up and down run through all items and stop at the ends', () => {
+    expect(moveSelection(columns, 'c', 'next')).toBe('d');
+    expect(moveSelection(columns, 'd', 'next')).toBe('d');
+    expect(moveSelection(columns, 'a', 'prev')).toBe('a');
+  });
+
+  test('left and right skip empty buckets and keep the row if they can', () => {
+    expect(moveSelection(columns, 'c', 'right')).toBe('d');
+    expect(moveSelection(columns, 'd', 'left')).toBe('a');
+    expect(moveSelection(columns, 'a', 'left')).toBe('a');
+  });
+
+  test('without a selection it starts at an end', () => {
+    expect(moveSelection(columns, null, 'next')).toBe('a');
+    expect(moveSelection(columns, 'gone', 'prev')).toBe('d');
+    expect(moveSelection([[], []], null, 'next')).toBeNull();
+  });
+});
+
+test('the help lists both delete keys', () => {
+  const del = SHORTCUTS.find((s) => s.label === 'Delete the activity');
+  expect(del.keys).toEqual(['Del', 'Backspace']);
+});
@@ -0,0 +1,163 @@
+import { keyTimeToMs } from './clock';
+import { normalizeDayItems } from './storage';
+import { addDays } from './utils';
+
+// History exports for other apps: CSV for spreadsheets, iCalendar (.ics)
+// with one VTODO per activity for calendar/task apps. A timed activity is
+// placed at its time (and due when its duration is up), others span their
+// bucket's hours.
+
+function bucketIndex(buckets, id) {
+  const i = buckets.findIndex((b) => b.id === id);
+  return i === -1 ? buckets.length : i;
+}
+
+// Flat list of { dateKey, item } for days in [from, to] (inclusive), in
+// date, bucket and creation order
+export function rowsInRange(days, from, to, buckets) {
+  const rows = [];
+  const keys = Object.keys(days || {})
+    .filter((k) => (!from || k >= from) && (!to || k <= to))
+    .sort();
+  for (const dateKey of keys) {
+    const items = normalizeDayItems(days[dateKey]).sort(
+      (a, b) =>
+        bucketIndex(buckets, a.bucket) - bucketIndex(buckets, b.bucket) ||
+        a.createdAt - b.createdAt
+    );
+    for (const item of items) rows.push({ dateKey, item });
+  }
+  return rows;
+}
+
+function isoOrEmpty(ts) {
+  return typeof ts === 'number' ? new Date(ts).toISOString() : '';
+}
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const CSV_COLUMNS = [
+  'date',
+  'bucket',
+  'text',
+  'done',
+  'createdAt',
+  'fromTemplate',
+  'completedAt',
+  'tags',
+];
+
+export function toCSV(days, from, to, buckets) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const { dateKey, item } of rowsInRange(days, from, to, buckets)) {
+    lines.push(
+      [
+        dateKey,
+        buckets.find((b) => b.id === item.bucket)?.label || item.bucket,
+        item.text,
+        item.done,
+        isoOrEmpty(item.createdAt),
+        item.fromTemplate,
+        isoOrEmpty(item.completedAt),
+        (item.tags || []).join(' '),
+      ]
+        .map(csvCell)
+        .join(',')
+    );
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function icsText(s) {
+  return String(s)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Floating local time, e.g. 20240131T080000; hour 24 is next day's midnight
+function icsLocal(dateKey, hour) {
+  if (hour >= 24) return icsLocal(addDays(dateKey, 1), hour - 24);
+  return `${dateKey.replace(/-/g, '')}T${String(hour).padStart(2, '0')}0000`;
+}
+
+function icsUtc(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function utf8Length(ch) {
+  const c = ch.codePointAt(0);
+  return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;
+}
+
+// RFC 5545 wants lines of at most 75 octets, continued with a leading space
+function fold(line) {
+  const out = [];
+  let cur = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    if (size + n > 75) {
+      out.push(cur);
+      cur = ' ';
+      size = 1;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join('\r\n');
+}
+
+// A time is a moment in the tracker's time zone, so it goes out in UTC;
+// bucket hours stay floating
+function icsWhen(dateKey, item, slot) {
+  if (!item.time) {
+    return [
+      `DTSTART:${icsLocal(dateKey, slot.start)}`,
+      `DUE:${icsLocal(dateKey, slot.end)}`,
+    ];
+  }
+  const start = keyTimeToMs(dateKey, item.time);
+  const lines = [`DTSTART:${icsUtc(start)}`];
+  if (item.duration) {
+    lines.push(`DUE:${icsUtc(start + item.duration * 60_000)}`);
+  }
+  return lines;
+}
+
+export function toICS(days, from, to, buckets) {
+  const stamp = icsUtc(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Daily Activities Tracker//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+  for (const { dateKey, item } of rowsInRange(days, from, to, buckets)) {
+    const slot = buckets.find((b) => b.id === item.bucket) || buckets[0];
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:${item.id}@daily-activities-tracker`,
+      `DTSTAMP:${stamp}`,
+      `CREATED:${icsUtc(item.createdAt)}`,
+      ...icsWhen(dateKey, item, slot),
+      `SUMMARY:${icsText(item.text)}`,
+      `CATEGORIES:${[slot.label, ...(item.tags || [])].map(icsText).join(',')}`,
+      `STATUS:${item.done ? 'COMPLETED' : 'NEEDS-ACTION'}`
+    );
+    if (item.done) {
+      lines.push('PERCENT-COMPLETE:100');
+      if (typeof item.completedAt === 'number') {
+        lines.push(`COMPLETED:${icsUtc(item.completedAt)}`);
+      }
+    }
+    lines.push('END:VTODO');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
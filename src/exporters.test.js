@@ -0,0 +1,114 @@
+import { configureClock } from './clock';
+import { DEFAULT_BUCKETS } from './buckets';
+import { CSV_COLUMNS, rowsInRange, toCSV, toICS } from './exporters';
+
+afterEach(() => configureClock({}));
+
+const at = Date.UTC(2024, 4, 15, 6);
+const item = (id, fields) => ({
+  id,
+  text: id,
+  bucket: 'morning',
+  done: false,
+  createdAt: at,
+  fromTemplate: false,
+  ...fields,
+});
+
+const days = {
+  '2024-05-14': [item('old')],
+  '2024-05-15': [
+    item('late', { bucket: 'evening', createdAt: at - 1000 }),
+    item('water', { tags: ['health'], done: true, completedAt: at + 60_000 }),
+  ],
+  '2024-05-16': [item('next')],
+};
+
+// The VTODO of item `id`, unfolded, as { NAME: value }
+function todo(ics, id) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const start = lines.indexOf(`UID:${id}@daily-activities-tracker`);
+  const end = lines.indexOf('END:VTODO', start);
+  return Object.fromEntries(
+    lines.slice(start, end).map((l) => {
+      const i = l.indexOf(':');
+      return [l.slice(0, i), l.slice(i + 1)];
+    })
+  );
+}
+
+test('rowsInRange keeps the range in date and bucket order', () => {
+  const rows = rowsInRange(days, '2024-05-15', '2024-05-16', DEFAULT_BUCKETS);
+  expect(rows.map((r) => r.item.id)).toEqual(['water', 'late', 'next']);
+  expect(rowsInRange(days, null, null, DEFAULT_BUCKETS)).toHaveLength(4);
+});
+
+test('CSV quotes cells with commas, quotes and line breaks', () => {
+  const csv = toCSV(
+    {
+      '2024-05-15': [
+        item('a', { text: 'Call "Mom", then\nDad', tags: ['family', 'calls'] }),
+      ],
+    },
+    null,
+    null,
+    DEFAULT_BUCKETS
+  );
+  const [header, row, rest] = csv.split('\r\n');
+  expect(header).toBe(CSV_COLUMNS.join(','));
+  expect(row).toBe(
+    '2024-05-15,Morning,"Call ""Mom"", then\nDad",false,2024-05-15T06:00:00.000Z,false,,family calls'
+  );
+  expect(rest).toBe('');
+});
+
+test('ICS spans the bucket hours of untimed activities', () => {
+  const ics = toICS(days, '2024-05-15', '2024-05-15', DEFAULT_BUCKETS);
+  expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+  expect(todo(ics, 'late')).toMatchObject({
+    DTSTART: '20240515T170000',
+    DUE: '20240515T220000',
+    STATUS: 'NEEDS-ACTION',
+  });
+  expect(todo(ics, 'water')).toMatchObject({
+    DTSTART: '20240515T080000',
+    CATEGORIES: 'Morning,health',
+    STATUS: 'COMPLETED',
+    'PERCENT-COMPLETE': '100',
+    COMPLETED: '20240515T060100Z',
+  });
+  expect(ics).not.toContain('UID:old@');
+});
+
+test('ICS places timed activities at their time in the tracker zone', () => {
+  configureClock({ timeZone: 'Europe/Berlin', dayStartHour: 4 });
+  const timed = {
+    '2024-05-15': [
+      item('run', { time: '18:30', duration: 45 }),
+      item('night', { time: '01:00' }),
+    ],
+  };
+  const ics = toICS(timed, null, null, DEFAULT_BUCKETS);
+  // Berlin is UTC+2 in May
+  expect(todo(ics, 'run')).toMatchObject({
+    DTSTART: '20240515T163000Z',
+    DUE: '20240515T171500Z',
+  });
+  // Before the 4 AM day start, so the next calendar date, with no end
+  expect(todo(ics, 'night').DTSTART).toBe('20240515T230000Z');
+  expect(todo(ics, 'night')).not.toHaveProperty('DUE');
+});
+
+test('ICS escapes text and folds long lines', () => {
+  const long = `Read; then, write\\${'x'.repeat(100)}`;
+  const ics = toICS(
+    { '2024-05-15': [item('long', { text: long })] },
+    null,
+    null,
+    DEFAULT_BUCKETS
+  );
+  expect(todo(ics, 'long').SUMMARY).toBe(
+    `Read\\; then\\, write\\\\${'x'.repeat(100)}`
+  );
+  expect(ics.split('\r\n').every((l) => l.length <= 75)).toBe(true);
+});
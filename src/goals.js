@@ -0,0 +1,230 @@
+import { activityKey, weekStart } from './stats';
+import { addDays, keyToDate, uid } from './utils';
+
+// Targets over a week or a month for one activity: "Gym 3× per week",
+// "Read on 20 days per month". Kept in store.goals as
+// { id, activity, target, unit: 'times' | 'days', period: 'week' | 'month', since }
+// `activity` is matched by text like Stats does, so it covers template
+// items and ones added by hand; `since` is the day the goal was set.
+// Progress is counted from store.days. Once a period is over, its result
+// is archived in store.goalResults, so it outlives the days it counted:
+// { id, goalId, activity, target, unit, period, start, end, achieved, met }
+
+export const GOAL_PERIODS = [
+  { id: 'week', label: 'per week' },
+  { id: 'month', label: 'per month' },
+];
+
+export const GOAL_UNITS = [
+  { id: 'times', label: 'times' },
+  { id: 'days', label: 'days' },
+];
+
+// Results archived per goal in one go, for goals left alone for years
+const ARCHIVE_LIMIT = 60;
+
+function positiveInt(v, max) {
+  const n = Math.round(Number(v));
+  return n > 0 && n <= max ? n : null;
+}
+
+function isDateKey(v) {
+  return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+export function makeGoal({ activity, target, unit, period }, today) {
+  return normalizeGoal({
+    id: uid(),
+    activity,
+    target,
+    unit,
+    period,
+    since: today,
+  });
+}
+
+function normalizeGoal(g) {
+  if (!g || typeof g !== 'object') return null;
+  const activity = String(g.activity || '').trim();
+  const period = GOAL_PERIODS.some((p) => p.id === g.period) ? g.period : null;
+  const target = positiveInt(g.target, 1000);
+  if (!activity || !period || !target || !isDateKey(g.since)) return null;
+  const unit = g.unit === 'days' ? 'days' : 'times';
+  return {
+    id: typeof g.id === 'string' ? g.id : uid(),
+    activity,
+    // There are only so many days in a period
+    target:
+      unit === 'days' ? Math.min(target, period === 'week' ? 7 : 31) : target,
+    unit,
+    period,
+    since: g.since,
+  };
+}
+
+export function normalizeGoals(list) {
+  const ids = new Set();
+  const out = [];
+  for (const g of Array.isArray(list) ? list : []) {
+    const goal = normalizeGoal(g);
+    if (!goal || ids.has(goal.id)) continue;
+    ids.add(goal.id);
+    out.push(goal);
+  }
+  return out;
+}
+
+export function normalizeGoalResults(list) {
+  const seen = new Set();
+  const out = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    const goal = normalizeGoal({ ...r, id: r?.goalId, since: r?.start });
+    if (!goal || !isDateKey(r.end) || seen.has(`${goal.id}/${r.start}`)) {
+      continue;
+    }
+    seen.add(`${goal.id}/${r.start}`);
+    const achieved = Math.max(0, Math.round(Number(r.achieved)) || 0);
+    out.push({
+      id: typeof r.id === 'string' ? r.id : uid(),
+      goalId: goal.id,
+      activity: goal.activity,
+      target: goal.target,
+      unit: goal.unit,
+      period: goal.period,
+      start: r.start,
+      end: r.end,
+      achieved,
+      met: achieved >= goal.target,
+    });
+  }
+  return out;
+}
+
+// First and last day of the week (Monday to Sunday) or month of `dateKey`
+export function periodOf(period, dateKey) {
+  if (period === 'week') {
+    const start = weekStart(dateKey);
+    return { start, end: addDays(start, 6) };
+  }
+  const start = `${dateKey.slice(0, 7)}-01`;
+  const [y, m] = dateKey.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return {
+    start,
+    end: `${dateKey.slice(0, 7)}-${String(last).padStart(2, '0')}`,
+  };
+}
+
+// How much of `goal` was done between `start` and `end`: completed
+// matching items, or days with at least one
+export function goalAchieved(goal, days, start, end) {
+  const key = activityKey(goal.activity);
+  let times = 0;
+  let onDays = 0;
+  for (const [dateKey, items] of Object.entries(days || {})) {
+    if (dateKey < start || dateKey > end || !Array.isArray(items)) continue;
+    const n = items.filter(
+      (it) => it?.done && activityKey(it.text) === key
+    ).length;
+    times += n;
+    if (n > 0) onDays++;
+  }
+  return goal.unit === 'days' ? onDays : times;
+}
+
+// Progress in the period that holds `dateKey`:
+// { start, end, achieved, remaining, rate, daysLeft, met }
+// `daysLeft` counts today; null once the period is over or not begun
+export function goalProgress(goal, days, dateKey, today) {
+  const { start, end } = periodOf(goal.period, dateKey);
+  const achieved = goalAchieved(goal, days, start, end);
+  const remaining = Math.max(0, goal.target - achieved);
+  const daysLeft =
+    today >= start && today <= end
+      ? Math.round((keyToDate(end) - keyToDate(today)) / 86_400_000) + 1
+      : null;
+  return {
+    start,
+    end,
+    achieved,
+    remaining,
+    rate: Math.min(100, Math.round((achieved / goal.target) * 100)),
+    daysLeft,
+    met: remaining === 0,
+  };
+}
+
+// Results for the periods of each goal that ended before `today` and are
+// not archived yet
+function dueResults(goals, results, days, today) {
+  const known = new Set(results.map((r) => `${r.goalId}/${r.start}`));
+  const out = [];
+  for (const goal of goals) {
+    let { start, end } = periodOf(goal.period, goal.since);
+    const due = [];
+    while (end < today && due.length < ARCHIVE_LIMIT) {
+      if (!known.has(`${goal.id}/${start}`)) due.push({ start, end });
+      ({ start, end } = periodOf(goal.period, addDays(end, 1)));
+    }
+    for (const p of due) {
+      const achieved = goalAchieved(goal, days, p.start, p.end);
+      out.push({
+        id: uid(),
+        goalId: goal.id,
+        activity: goal.activity,
+        target: goal.target,
+        unit: goal.unit,
+        period: goal.period,
+        start: p.start,
+        end: p.end,
+        achieved,
+        met: achieved >= goal.target,
+      });
+    }
+  }
+  return out;
+}
+
+// The archive brought up to date: new results for periods that ended
+// before `today`, and archived ones recounted while their days are still
+// kept (from `keptFrom`; null keeps all), so a backfilled day counts.
+// Returns `results` itself when nothing changed.
+export function archiveResults(goals, results, days, today, keptFrom) {
+  let changed = false;
+  const recounted = results.map((r) => {
+    if (keptFrom && r.start < keptFrom) return r;
+    const achieved = goalAchieved(r, days, r.start, r.end);
+    if (achieved === r.achieved) return r;
+    changed = true;
+    return { ...r, achieved, met: achieved >= r.target };
+  });
+  const due = dueResults(goals, results, days, today);
+  return changed || due.length > 0 ? [...recounted, ...due] : results;
+}
+
+// e.g. "3× per week", "20 days per month"
+export function describeGoal(goal) {
+  const amount =
+    goal.unit === 'days'
+      ? `${goal.target} ${goal.target === 1 ? 'day' : 'days'}`
+      : `${goal.target}×`;
+  return `${amount} ${GOAL_PERIODS.find((p) => p.id === goal.period).label}`;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// goalProgress() in words: "2× to go • 3 days left this week"
+export function describeProgress(goal, p) {
+  const status = p.met
+    ? 'Reached ✓'
+    : goal.unit === 'days'
+    ? `${plural(p.remaining, 'day')} to go`
+    : `${p.remaining}× to go`;
+  const when =
+    p.daysLeft == null
+      ? `${p.start} – ${p.end}`
+      : `${plural(p.daysLeft, 'day')} left this ${goal.period}`;
+  return `${status} • ${when}`;
+}
@@ -0,0 +1,126 @@
+import {
+  archiveResults,
+  describeGoal,
+  describeProgress,
+  goalProgress,
+  makeGoal,
+  normalizeGoalResults,
+  normalizeGoals,
+  periodOf,
+} from './goals';
+
+const item = (text, done = true) => ({ id: text, text, done });
+
+// 2024-05-13 is a Monday
+const gym = makeGoal(
+  { activity: 'Gym', target: 3, unit: 'times', period: 'week' },
+  '2024-05-13'
+);
+
+test('makeGoal and normalizeGoals keep only usable goals', () => {
+  expect(gym).toMatchObject({
+    activity: 'Gym',
+    target: 3,
+    since: '2024-05-13',
+  });
+  expect(
+    makeGoal(
+      { activity: 'Read', target: 40, unit: 'days', period: 'week' },
+      '2024-05-13'
+    ).target
+  ).toBe(7);
+  const goals = normalizeGoals([
+    gym,
+    { ...gym },
+    { activity: '', target: 1, period: 'week', since: '2024-05-13' },
+    { activity: 'Run', target: 0, period: 'week', since: '2024-05-13' },
+    { activity: 'Run', target: 2, period: 'year', since: '2024-05-13' },
+    'Gym',
+  ]);
+  expect(goals).toEqual([gym]);
+});
+
+test('periodOf gives Monday to Sunday and whole months', () => {
+  expect(periodOf('week', '2024-05-15')).toEqual({
+    start: '2024-05-13',
+    end: '2024-05-19',
+  });
+  expect(periodOf('month', '2024-02-10')).toEqual({
+    start: '2024-02-01',
+    end: '2024-02-29',
+  });
+});
+
+test('goalProgress counts times or days in the period', () => {
+  const days = {
+    '2024-05-12': [item('Gym')],
+    '2024-05-13': [item('Gym'), item(' gym ')],
+    '2024-05-14': [item('Gym', false), item('Read')],
+    '2024-05-16': [item('Gym')],
+  };
+  expect(goalProgress(gym, days, '2024-05-15', '2024-05-15')).toEqual({
+    start: '2024-05-13',
+    end: '2024-05-19',
+    achieved: 3,
+    remaining: 0,
+    rate: 100,
+    daysLeft: 5,
+    met: true,
+  });
+  const onDays = { ...gym, unit: 'days' };
+  const p = goalProgress(onDays, days, '2024-05-15', '2024-05-15');
+  expect(p).toMatchObject({ achieved: 2, remaining: 1, rate: 67 });
+  expect(describeGoal(onDays)).toBe('3 days per week');
+  expect(describeProgress(onDays, p)).toBe(
+    '1 day to go • 5 days left this week'
+  );
+  // A week that is over has no days left
+  const past = goalProgress(gym, days, '2024-05-08', '2024-05-15');
+  expect(describeProgress(gym, past)).toBe(
+    '2× to go • 2024-05-06 – 2024-05-12'
+  );
+});
+
+test('archiveResults archives each period once it is over', () => {
+  const days = { '2024-05-14': [item('Gym')], '2024-05-21': [item('Gym')] };
+  const results = archiveResults([gym], [], days, '2024-05-28', null);
+  expect(results.map((r) => [r.start, r.end, r.achieved, r.met])).toEqual([
+    ['2024-05-13', '2024-05-19', 1, false],
+    ['2024-05-20', '2024-05-26', 1, false],
+  ]);
+  // Nothing new: the same list back
+  expect(archiveResults([gym], results, days, '2024-05-28', null)).toBe(
+    results
+  );
+  // Results outlive the goal
+  expect(archiveResults([], results, days, '2024-06-30', null)).toBe(results);
+});
+
+test('archived results follow days backfilled later, while they are kept', () => {
+  const days = { '2024-05-14': [item('Gym')] };
+  const results = archiveResults([gym], [], days, '2024-05-21', null);
+  const backfilled = {
+    ...days,
+    '2024-05-15': [item('Gym')],
+    '2024-05-16': [item('Gym')],
+  };
+  const [r] = archiveResults([gym], results, backfilled, '2024-05-21', null);
+  expect(r).toMatchObject({ achieved: 3, met: true });
+  // Once its days are pruned, a result stays as it was archived
+  expect(archiveResults([gym], results, {}, '2024-05-21', '2024-05-20')).toBe(
+    results
+  );
+});
+
+test('normalizeGoalResults drops broken and duplicate results', () => {
+  const [r] = archiveResults([gym], [], {}, '2024-05-21', null);
+  const out = normalizeGoalResults([
+    r,
+    { ...r, id: 'other' },
+    { ...r, goalId: 'g2', end: 'soon' },
+    { ...r, goalId: 'g3', achieved: 5, met: false },
+  ]);
+  expect(out).toHaveLength(2);
+  expect(out[0]).toEqual(r);
+  expect(out[1]).toMatchObject({ goalId: 'g3', achieved: 5, met: true });
+});
@@ -0,0 +1,172 @@
+// Measurable activities. A day item or template entry has an optional
+// `kind` (checkbox items leave it out):
+// - { kind: 'count', target, unit?, count }        "Water" 8 glasses
+// - { kind: 'timer', target, spent, runningSince? } "Read" 10 min
+// `target` is a count, or minutes for timers; `spent` is seconds and
+// `runningSince` the epoch ms the timer was started. Templates carry only
+// the definition (kind/target/unit); the progress lives on the day item.
+// An item is done once it reaches its target, and partial progress counts
+// proportionally in the progress bars.
+
+export const ITEM_KINDS = [
+  { id: 'check', label: 'Checkbox' },
+  { id: 'count', label: 'Counter' },
+  { id: 'timer', label: 'Timer' },
+];
+
+function positiveInt(v, max) {
+  const n = Math.round(Number(v));
+  return n > 0 && n <= max ? n : null;
+}
+
+// The definition part, for templates; empty for checkbox items
+export function measureDefinition(x) {
+  const target = positiveInt(x?.target, x?.kind === 'timer' ? 24 * 60 : 1e6);
+  if (!target) return {};
+  if (x.kind === 'count') {
+    const unit = String(x.unit || '').trim();
+    return { kind: 'count', target, ...(unit ? { unit } : {}) };
+  }
+  if (x.kind === 'timer') return { kind: 'timer', target };
+  return {};
+}
+
+// Definition plus progress, for day items
+export function measureFields(x) {
+  const def = measureDefinition(x);
+  if (def.kind === 'count') {
+    return { ...def, count: Math.max(0, Math.round(Number(x.count)) || 0) };
+  }
+  if (def.kind === 'timer') {
+    return {
+      ...def,
+      spent: Math.max(0, Math.round(Number(x.spent)) || 0),
+      ...(typeof x.runningSince === 'number'
+        ? { runningSince: x.runningSince }
+        : {}),
+    };
+  }
+  return {};
+}
+
+// Fresh progress for an item made from a template entry
+export function startMeasure(entry) {
+  const def = measureDefinition(entry);
+  if (def.kind === 'count') return { ...def, count: 0 };
+  if (def.kind === 'timer') return { ...def, spent: 0 };
+  return {};
+}
+
+export function timerSeconds(item, now = Date.now()) {
+  const running = item.runningSince
+    ? Math.max(0, Math.floor((now - item.runningSince) / 1000))
+    : 0;
+  return (item.spent || 0) + running;
+}
+
+// 0..1; a done item always counts fully, and a checklist by its share done
+export function itemProgress(item, now = Date.now()) {
+  if (item.done) return 1;
+  if (item.subtasks?.length > 0) {
+    return item.subtasks.filter((s) => s.done).length / item.subtasks.length;
+  }
+  if (item.kind === 'count') return Math.min(1, item.count / item.target);
+  if (item.kind === 'timer') {
+    return Math.min(1, timerSeconds(item, now) / (item.target * 60));
+  }
+  return 0;
+}
+
+// Rounded percentage over a list of items
+export function progressRate(items, now = Date.now()) {
+  if (items.length === 0) return 0;
+  const sum = items.reduce((acc, it) => acc + itemProgress(it, now), 0);
+  return Math.round((sum / items.length) * 100);
+}
+
+export function addCount(item, delta) {
+  const count = Math.max(0, (item.count || 0) + delta);
+  return { ...item, count, done: count >= item.target };
+}
+
+export function startTimer(item, now = Date.now()) {
+  return item.runningSince ? item : { ...item, runningSince: now };
+}
+
+export function stopTimer(item, now = Date.now()) {
+  if (!item.runningSince) return item;
+  const { runningSince, ...rest } = item;
+  const spent = timerSeconds(item, now);
+  return { ...rest, spent, done: item.done || spent >= item.target * 60 };
+}
+
+// Running timers that reached their target since the last check
+export function timersDue(items, now = Date.now()) {
+  return items.filter(
+    (it) =>
+      it.kind === 'timer' &&
+      it.runningSince &&
+      !it.done &&
+      timerSeconds(it, now) >= it.target * 60
+  );
+}
+
+// "m:ss", or "h:mm:ss" past an hour
+export function formatSeconds(total) {
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// e.g. "8 glasses" or "10 min timer"; empty for checkbox entries
+export function describeMeasure(x) {
+  if (x.kind === 'count') return `${x.target}${x.unit ? ` ${x.unit}` : '×'}`;
+  if (x.kind === 'timer') return `${x.target} min timer`;
+  return '';
+}
+
+// Completing a measurable item by hand fills it up to its target (and stops
+// its timer) so it stays done when the count or timer is touched again
+export function completeItem(item, now = Date.now()) {
+  if (item.kind === 'count') {
+    return { ...item, done: true, count: Math.max(item.count, item.target) };
+  }
+  if (item.kind === 'timer') {
+    const stopped = stopTimer(item, now);
+    return {
+      ...stopped,
+      done: true,
+      spent: Math.max(stopped.spent, item.target * 60),
+    };
+  }
+  return { ...item, done: true };
+}
+
+// A due timer (see timersDue) stopped at the moment it reached its target,
+// however late the check came
+export function finishTimer(item) {
+  const left = item.target * 60 - (item.spent || 0);
+  return completeItem(item, item.runningSince + left * 1000);
+}
+
+// Un-completing a measurable item leaves it just short of its target (and
+// stops its timer) so the partial progress is kept but no longer reads done
+export function reopenItem(item, now = Date.now()) {
+  if (item.kind === 'count') {
+    return {
+      ...item,
+      done: false,
+      count: Math.min(item.count, item.target - 1),
+    };
+  }
+  if (item.kind === 'timer') {
+    const stopped = stopTimer(item, now);
+    return {
+      ...stopped,
+      done: false,
+      spent: Math.min(stopped.spent, item.target * 60 - 1),
+    };
+  }
+  return { ...item, done: false };
+}
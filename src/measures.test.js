@@ -0,0 +1,42 @@
+import {
+  completeItem,
+  finishTimer,
+  itemProgress,
+  reopenItem,
+  timersDue,
+} from './measures';
+
+const counter = { id: 'w', text: 'Water', kind: 'count', target: 8, count: 3 };
+const timer = { id: 'r', text: 'Read', kind: 'timer', target: 10, spent: 120 };
+
+test('completing fills a counter or timer to its target', () => {
+  expect(completeItem(counter)).toMatchObject({ done: true, count: 8 });
+  expect(completeItem({ ...counter, count: 10 }).count).toBe(10);
+
+  const start = Date.UTC(2024, 4, 15, 9);
+  const done = completeItem({ ...timer, runningSince: start }, start + 60_000);
+  expect(done).toMatchObject({ done: true, spent: 600 });
+  expect(done).not.toHaveProperty('runningSince');
+  expect(timersDue([done], start + 20 * 60_000)).toEqual([]);
+  expect(completeItem({ ...timer, spent: 900 }).spent).toBe(900);
+});
+
+test('reopening keeps the progress just short of the target', () => {
+  const reopened = reopenItem(completeItem(counter));
+  expect(reopened).toMatchObject({ done: false, count: 7 });
+  expect(itemProgress(reopened)).toBeLessThan(1);
+  expect(reopenItem(completeItem(timer))).toMatchObject({
+    done: false,
+    spent: 599,
+  });
+});
+
+test('a due timer stops at its target, not when it was noticed', () => {
+  const start = Date.UTC(2024, 4, 15, 9);
+  const running = { ...timer, runningSince: start };
+  // 8 minutes to go, and checked an hour later
+  const [due] = timersDue([running], start + 60 * 60_000);
+  const done = finishTimer(due);
+  expect(done).toMatchObject({ done: true, spent: 600 });
+  expect(done).not.toHaveProperty('runningSince');
+});
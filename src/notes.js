@@ -0,0 +1,64 @@
+// Markdown-lite for activity notes: paragraphs, "- " / "* " bullet lists,
+// **bold**, *italic*, `code` and http(s) links. The result is plain data that
+// App renders as elements, so note text is never injected as HTML.
+//
+// Blocks: { type: 'p', lines: span[][] } | { type: 'ul', items: span[][] }
+// Spans:  { type: 'text' | 'b' | 'i' | 'code', text } | { type: 'link', text, href }
+
+const INLINE =
+  /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`|\[[^\]]+\]\(https?:\/\/[^\s)]+\)|https?:\/\/[^\s<>()]+)/g;
+
+export function parseInline(line) {
+  const spans = [];
+  let last = 0;
+  for (const m of line.matchAll(INLINE)) {
+    if (m.index > last) {
+      spans.push({ type: 'text', text: line.slice(last, m.index) });
+    }
+    const tok = m[0];
+    if (tok.startsWith('**')) {
+      spans.push({ type: 'b', text: tok.slice(2, -2) });
+    } else if (tok.startsWith('`')) {
+      spans.push({ type: 'code', text: tok.slice(1, -1) });
+    } else if (tok.startsWith('*')) {
+      spans.push({ type: 'i', text: tok.slice(1, -1) });
+    } else if (tok.startsWith('[')) {
+      const split = tok.indexOf('](');
+      spans.push({
+        type: 'link',
+        text: tok.slice(1, split),
+        href: tok.slice(split + 2, -1),
+      });
+    } else {
+      spans.push({ type: 'link', text: tok, href: tok });
+    }
+    last = m.index + tok.length;
+  }
+  if (last < line.length) spans.push({ type: 'text', text: line.slice(last) });
+  return spans;
+}
+
+export function parseNotes(text) {
+  const blocks = [];
+  let current = null;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    const bullet = /^[-*]\s+(.*)$/.exec(line);
+    if (!line) {
+      current = null;
+    } else if (bullet) {
+      if (current?.type !== 'ul') {
+        current = { type: 'ul', items: [] };
+        blocks.push(current);
+      }
+      current.items.push(parseInline(bullet[1]));
+    } else {
+      if (current?.type !== 'p') {
+        current = { type: 'p', lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(parseInline(line));
+    }
+  }
+  return blocks;
+}
@@ -0,0 +1,54 @@
+import { parseInline, parseNotes } from './notes';
+
+test('parseInline splits out bold, italic, code and links', () => {
+  expect(
+    parseInline('Read **ch 3**, *slowly*, run `npm test` at https://x.io/a')
+  ).toEqual([
+    { type: 'text', text: 'Read ' },
+    { type: 'b', text: 'ch 3' },
+    { type: 'text', text: ', ' },
+    { type: 'i', text: 'slowly' },
+    { type: 'text', text: ', run ' },
+    { type: 'code', text: 'npm test' },
+    { type: 'text', text: ' at ' },
+    { type: 'link', text: 'https://x.io/a', href: 'https://x.io/a' },
+  ]);
+  expect(parseInline('see [the docs](https://x.io/docs).')).toEqual([
+    { type: 'text', text: 'see ' },
+    { type: 'link', text: 'the docs', href: 'https://x.io/docs' },
+    { type: 'text', text: '.' },
+  ]);
+});
+
+test('only http(s) links become links', () => {
+  expect(parseInline('[x](javascript:alert(1)) <b>hi</b>')).toEqual([
+    { type: 'text', text: '[x](javascript:alert(1)) <b>hi</b>' },
+  ]);
+  expect(parseInline('2 * 3 * 4')).toEqual([
+    { type: 'text', text: '2 * 3 * 4' },
+  ]);
+});
+
+test('parseNotes groups lines into paragraphs and bullet lists', () => {
+  expect(
+    parseNotes('Warm up\nthen:\n- squats\n* **lunges**\n\nStretch')
+  ).toEqual([
+    {
+      type: 'p',
+      lines: [
+        [{ type: 'text', text: 'Warm up' }],
+        [{ type: 'text', text: 'then:' }],
+      ],
+    },
+    {
+      type: 'ul',
+      items: [
+        [{ type: 'text', text: 'squats' }],
+        [{ type: 'b', text: 'lunges' }],
+      ],
+    },
+    { type: 'p', lines: [[{ type: 'text', text: 'Stretch' }]] },
+  ]);
+  expect(parseNotes('')).toEqual([]);
+  expect(parseNotes(undefined)).toEqual([]);
+});
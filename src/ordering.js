@@ -0,0 +1,50 @@
+import { compareByTime } from './schedule';
+
+// Manual ordering for day items and template entries.
+// Day items get a numeric `order` within their bucket once the user drags
+// something into that bucket. Items without one (just added, seeded from a
+// routine, or from before drag-and-drop) come first, in the automatic order:
+// unfinished first, timed ones by clock, then newest.
+// Template entries are plain arrays per bucket, so their order is the array's.
+
+export function compareItems(a, b) {
+  const aManual = typeof a.order === 'number';
+  const bManual = typeof b.order === 'number';
+  if (aManual !== bManual) return aManual ? 1 : -1;
+  if (aManual) return a.order - b.order;
+  if (a.done !== b.done) return a.done ? 1 : -1;
+  return compareByTime(a, b) || (b.createdAt || 0) - (a.createdAt || 0);
+}
+
+// Moves item `id` into `toBucket` just before item `beforeId` (at the end
+// when null) and renumbers that bucket. The bucket it left keeps its order.
+export function moveItem(items, id, toBucket, beforeId = null) {
+  const moving = items.find((it) => it.id === id);
+  if (!moving || id === beforeId) return items;
+  const column = items
+    .filter((it) => it.bucket === toBucket && it.id !== id)
+    .sort(compareItems);
+  const at = column.findIndex((it) => it.id === beforeId);
+  column.splice(at < 0 ? column.length : at, 0, moving);
+  const order = new Map(column.map((it, i) => [it.id, i]));
+  return items.map((it) =>
+    order.has(it.id) ? { ...it, bucket: toBucket, order: order.get(it.id) } : it
+  );
+}
+
+// Same for template entries of one routine ({ [bucketId]: entry[] })
+export function moveTemplate(templates, id, toBucket, beforeId = null) {
+  const moving = Object.values(templates || {})
+    .flat()
+    .find((t) => t.id === id);
+  const out = {};
+  for (const [k, list] of Object.entries(templates || {})) {
+    out[k] = list.filter((t) => t.id !== id);
+  }
+  if (!moving || id === beforeId) return templates;
+  const list = [...(out[toBucket] || [])];
+  const at = list.findIndex((t) => t.id === beforeId);
+  list.splice(at < 0 ? list.length : at, 0, moving);
+  out[toBucket] = list;
+  return out;
+}
@@ -0,0 +1,87 @@
+import { compareItems, moveItem, moveTemplate } from './ordering';
+
+const item = (id, fields) => ({
+  id,
+  text: id,
+  bucket: 'morning',
+  done: false,
+  createdAt: 1,
+  ...fields,
+});
+
+const ids = (list) => list.map((it) => it.id);
+
+test('automatic order: unfinished, then timed by clock, then newest', () => {
+  const list = [
+    item('done', { done: true, createdAt: 9 }),
+    item('old'),
+    item('late', { time: '18:00' }),
+    item('new', { createdAt: 5 }),
+    item('early', { time: '07:30' }),
+  ];
+  expect(ids([...list].sort(compareItems))).toEqual([
+    'early',
+    'late',
+    'new',
+    'old',
+    'done',
+  ]);
+});
+
+test('items placed by hand come after the rest, in their order', () => {
+  const list = [
+    item('b', { order: 1 }),
+    item('fresh', { createdAt: 9 }),
+    item('a', { order: 0, done: true }),
+  ];
+  expect(ids([...list].sort(compareItems))).toEqual(['fresh', 'a', 'b']);
+});
+
+describe('moveItem', () => {
+  const day = [
+    item('run', { createdAt: 3 }),
+    item('read', { createdAt: 2 }),
+    item('cook', { bucket: 'evening', order: 0 }),
+    item('call', { bucket: 'evening', order: 1 }),
+  ];
+
+  test('drops an item before another and renumbers that bucket', () => {
+    const moved = moveItem(day, 'run', 'evening', 'call');
+    expect(moved.find((it) => it.id === 'run')).toMatchObject({
+      bucket: 'evening',
+      order: 1,
+    });
+    const evening = moved
+      .filter((it) => it.bucket === 'evening')
+      .sort(compareItems);
+    expect(ids(evening)).toEqual(['cook', 'run', 'call']);
+    // The bucket it left keeps its automatic order
+    expect(moved.find((it) => it.id === 'read')).not.toHaveProperty('order');
+  });
+
+  test('without a target it goes last; unknown or self moves change nothing', () => {
+    const moved = moveItem(day, 'read', 'morning');
+    expect(
+      ids(moved.filter((it) => it.bucket === 'morning').sort(compareItems))
+    ).toEqual(['run', 'read']);
+    expect(moveItem(day, 'nope', 'evening')).toBe(day);
+    expect(moveItem(day, 'run', 'evening', 'run')).toBe(day);
+  });
+});
+
+test('moveTemplate moves entries between and within buckets', () => {
+  const templates = {
+    morning: [{ id: 't1' }, { id: 't2' }],
+    evening: [{ id: 't3' }],
+  };
+  expect(moveTemplate(templates, 't2', 'evening', 't3')).toEqual({
+    morning: [{ id: 't1' }],
+    evening: [{ id: 't2' }, { id: 't3' }],
+  });
+  expect(moveTemplate(templates, 't1', 'morning')).toEqual({
+    morning: [{ id: 't2' }, { id: 't1' }],
+    evening: [{ id: 't3' }],
+  });
+  expect(moveTemplate(templates, 't1', 'noon').noon).toEqual([{ id: 't1' }]);
+  expect(moveTemplate(templates, 'nope', 'evening')).toBe(templates);
+});
@@ -0,0 +1,27 @@
+import { dateKeyAt } from './clock';
+import { addDays } from './utils';
+
+// Any date can be opened: days ahead to plan them, and past days the app
+// was not opened on to backfill them. Either is shown filled from the
+// routine for that date and stored once something is changed.
+// What kind of day it is follows from the dates alone and from when its
+// items were created, so nothing extra is stored.
+
+// { kind: 'today' | 'planned' | 'backfilled' | 'past', late }
+// `late` counts items added after their day was over
+export function dayStatus(dateKey, items, today) {
+  if (dateKey === today) return { kind: 'today', late: 0 };
+  if (dateKey > today) return { kind: 'planned', late: 0 };
+  const late = items.filter(
+    (it) =>
+      typeof it.createdAt === 'number' && dateKeyAt(it.createdAt) > dateKey
+  ).length;
+  const backfilled = late > 0 && late === items.length;
+  return { kind: backfilled ? 'backfilled' : 'past', late };
+}
+
+// The oldest date that can be opened without being pruned right away
+// (same cutoff as pruneHistory)
+export function oldestOpenable(today, retentionDays) {
+  return retentionDays == null ? null : addDays(today, -(retentionDays - 1));
+}
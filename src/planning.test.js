@@ -0,0 +1,51 @@
+import { configureClock } from './clock';
+import { dayStatus, oldestOpenable } from './planning';
+
+beforeEach(() => configureClock({ timeZone: 'UTC' }));
+afterEach(() => configureClock({}));
+
+const today = '2024-05-15';
+// Noon UTC, well inside the day
+const noon = (dateKey) => Date.parse(`${dateKey}T12:00:00Z`);
+
+test('today and days ahead', () => {
+  expect(dayStatus(today, [], today)).toEqual({ kind: 'today', late: 0 });
+  expect(dayStatus('2024-05-20', [{ createdAt: noon(today) }], today)).toEqual({
+    kind: 'planned',
+    late: 0,
+  });
+});
+
+test('a past day filled only afterwards was backfilled', () => {
+  const items = [{ createdAt: noon(today) }, { createdAt: noon('2024-05-14') }];
+  expect(dayStatus('2024-05-13', items, today)).toEqual({
+    kind: 'backfilled',
+    late: 2,
+  });
+});
+
+test('a past day used on the day counts the items added late', () => {
+  const items = [
+    { createdAt: noon('2024-05-13') },
+    { createdAt: noon(today) },
+    { text: 'no createdAt' },
+  ];
+  expect(dayStatus('2024-05-13', items, today)).toEqual({
+    kind: 'past',
+    late: 1,
+  });
+  expect(dayStatus('2024-05-13', [], today)).toEqual({ kind: 'past', late: 0 });
+});
+
+test('late is judged by the day start', () => {
+  configureClock({ timeZone: 'UTC', dayStartHour: 4 });
+  // 2 AM on the 14th still belongs to the 13th
+  const items = [{ createdAt: Date.parse('2024-05-14T02:00:00Z') }];
+  expect(dayStatus('2024-05-13', items, today).late).toBe(0);
+});
+
+test('oldestOpenable follows the retention window', () => {
+  expect(oldestOpenable(today, 30)).toBe('2024-04-16');
+  expect(oldestOpenable(today, 1)).toBe(today);
+  expect(oldestOpenable(today, null)).toBeNull();
+});
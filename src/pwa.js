@@ -0,0 +1,43 @@
+// Installable, offline-first app shell.
+// public/service-worker.js caches the build and serves it first; the same
+// worker also shows reminders (see reminders.js), so both register it
+// through here. The dev server registers it with '?dev', which turns the
+// caching off so edits show up on reload.
+//
+// Updates: the page asks the worker to look for a newer deploy on start and
+// whenever it comes back to the foreground. The worker answers
+// { type: 'update:ready' } once the new build is downloaded; applyUpdate()
+// switches to it and the worker answers { type: 'update:applied' }, after
+// which the page reloads.
+
+export const WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js${
+  process.env.NODE_ENV === 'production' ? '' : '?dev'
+}`;
+
+export function workerSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+// Resolves to the ready registration, or null where workers are unavailable
+export function registerWorker() {
+  if (!workerSupported()) return Promise.resolve(null);
+  return navigator.serviceWorker
+    .register(WORKER_URL)
+    .then(() => navigator.serviceWorker.ready)
+    .catch(() => null);
+}
+
+function post(message) {
+  return registerWorker().then((registration) => {
+    registration?.active?.postMessage(message);
+    return Boolean(registration?.active);
+  });
+}
+
+export function checkForUpdate() {
+  return post({ type: 'update:check' });
+}
+
+export function applyUpdate() {
+  return post({ type: 'update:apply' });
+}
@@ -0,0 +1,123 @@
+import { normalizeTime } from './schedule';
+import { extractTags } from './tags';
+import { addDays, keyToDate } from './utils';
+
+// Quick-add phrases for the Activity and Template inputs:
+//   "Gym tomorrow evening #health x3"  -> Gym, Evening, tomorrow, count to 3
+//   "Call mom at 18:30 for 20 min"     -> Call mom, 18:30 for 20 min
+//   "Lunch with Ann at noon"           -> Lunch with Ann, Noon
+// Recognized pieces are taken out of the text; what is left is the
+// activity. Pieces are only looked for after the first word, so "Morning
+// pages" or "Tomorrow" stay as they are.
+// Result: { text, tags, bucket?, date?, time?, duration?, target? }, where
+// `target` is the count for "x3" and `date` is only read when `dates` is on
+// (relative to `today`).
+
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+const RELATIVE = { yesterday: -1, today: 0, tomorrow: 1 };
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "18:30", "6pm", "6:30 am", or a bare hour after "at"
+function readTime([, at, h, m, meridiem]) {
+  if (!at && !m && !meridiem) return null;
+  let hour = Number(h);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  const time = normalizeTime(`${hour}:${m || '00'}`);
+  return time ? { time } : null;
+}
+
+// The next `weekday` (0 = Sunday) after `today`, a week ahead at most
+function nextWeekday(today, weekday) {
+  const ahead = (weekday - keyToDate(today).getDay() + 7) % 7 || 7;
+  return addDays(today, ahead);
+}
+
+export function parseQuickAdd(input, { buckets = [], today, dates = true }) {
+  const { text: untagged, tags } = extractTags(input);
+  let rest = ` ${untagged} `;
+  const out = { tags };
+
+  // Takes the first match of `re` (global, each match starting at a space)
+  // that `read` turns into fields out of the text
+  function take(re, read) {
+    for (const m of rest.matchAll(re)) {
+      const fields = m.index > 0 && read(m);
+      if (!fields) continue;
+      Object.assign(out, fields);
+      rest = `${rest.slice(0, m.index)} ${rest.slice(m.index + m[0].length)}`;
+      return true;
+    }
+    return false;
+  }
+
+  if (dates && today) {
+    const weekday = new RegExp(
+      `\\s(?:(?:on|next)\\s+)?(${WEEKDAYS.join('|')})(?=\\s)`,
+      'gi'
+    );
+    take(/\s(?:on\s+)?(\d{4}-\d{2}-\d{2})(?=\s)/g, (m) =>
+      addDays(m[1], 0) === m[1] ? { date: m[1] } : null
+    ) ||
+      take(/\sin\s+(\d{1,3})\s+days?(?=\s)/gi, (m) => ({
+        date: addDays(today, Number(m[1])),
+      })) ||
+      take(/\s(yesterday|today|tomorrow)(?=\s)/gi, (m) => ({
+        date: addDays(today, RELATIVE[m[1].toLowerCase()]),
+      })) ||
+      take(weekday, (m) => ({
+        date: nextWeekday(today, WEEKDAYS.indexOf(m[1].toLowerCase())),
+      }));
+  }
+
+  take(/\s(?:(at|@)\s*)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?=\s)/gi, readTime);
+  if (out.time) {
+    take(
+      /\sfor\s+(\d+(?:[.,]\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)(?=\s)/gi,
+      (m) => {
+        const value = Number(m[1].replace(',', '.'));
+        const minutes = Math.round(/^h/i.test(m[2]) ? value * 60 : value);
+        return minutes > 0 && minutes <= 24 * 60 ? { duration: minutes } : null;
+      }
+    );
+  }
+
+  take(/\s(?:[x×](\d{1,6})|(\d{1,6})[x×])(?=\s)/gi, (m) => {
+    const target = Number(m[1] || m[2]);
+    return target > 0 ? { target } : null;
+  });
+
+  // Longest labels first, so "Late evening" wins over "Evening"
+  const byLength = [...buckets].sort((a, b) => b.label.length - a.label.length);
+  for (const b of byLength) {
+    const label = escapeRegExp(b.label.trim()).replace(/\s+/g, '\\s+');
+    const re = new RegExp(
+      `\\s(?:(?:in\\s+the|this|at)\\s+)?${label}(?=\\s)`,
+      'gi'
+    );
+    if (take(re, () => ({ bucket: b.id }))) break;
+  }
+
+  const text = rest.replace(/\s+/g, ' ').trim();
+  // A time without a bucket word goes to the bucket whose hours hold it
+  if (!out.bucket && out.time) {
+    const hour = Number(out.time.slice(0, 2));
+    const b = buckets.find((x) => hour >= x.start && hour < x.end);
+    if (b) out.bucket = b.id;
+  }
+  return { ...out, text };
+}
@@ -0,0 +1,79 @@
+import { DEFAULT_BUCKETS } from './buckets';
+import { parseQuickAdd } from './quickAdd';
+
+// 2024-05-15 is a Wednesday
+const today = '2024-05-15';
+const parse = (input, opts = {}) =>
+  parseQuickAdd(input, { buckets: DEFAULT_BUCKETS, today, ...opts });
+
+test('reads a day, a bucket, tags and a count', () => {
+  expect(parse('Gym tomorrow evening #health x3')).toEqual({
+    text: 'Gym',
+    tags: ['health'],
+    bucket: 'evening',
+    date: '2024-05-16',
+    target: 3,
+  });
+});
+
+test('reads a time with a duration and places it in its bucket', () => {
+  expect(parse('Call mom at 18:30 for 20 min')).toEqual({
+    text: 'Call mom',
+    tags: [],
+    time: '18:30',
+    duration: 20,
+    bucket: 'evening',
+  });
+  expect(parse('Dentist 9am').time).toBe('09:00');
+  expect(parse('Dentist at 7 pm').time).toBe('19:00');
+  expect(parse('Read for 2 h').duration).toBeUndefined();
+});
+
+test('takes "at", "in the" and "this" before a bucket word', () => {
+  expect(parse('Lunch with Ann at noon')).toMatchObject({
+    text: 'Lunch with Ann',
+    bucket: 'noon',
+  });
+  expect(parse('Stretch in the morning')).toMatchObject({
+    text: 'Stretch',
+    bucket: 'morning',
+  });
+  expect(parse('Walk this evening')).toMatchObject({
+    text: 'Walk',
+    bucket: 'evening',
+  });
+});
+
+test('prefers the longest bucket label', () => {
+  const buckets = [
+    ...DEFAULT_BUCKETS,
+    { id: 'late', label: 'Late evening', start: 22, end: 24 },
+  ];
+  expect(parse('Journal late evening', { buckets })).toMatchObject({
+    text: 'Journal',
+    bucket: 'late',
+  });
+});
+
+test('reads dates relative to today', () => {
+  expect(parse('Call Bob yesterday').date).toBe('2024-05-14');
+  expect(parse('Call Bob in 10 days').date).toBe('2024-05-25');
+  expect(parse('Call Bob on 2024-06-01').date).toBe('2024-06-01');
+  expect(parse('Call Bob on 2024-02-30').date).toBeUndefined();
+  // The next one, never today
+  expect(parse('Call Bob friday').date).toBe('2024-05-17');
+  expect(parse('Call Bob on wednesday').date).toBe('2024-05-22');
+});
+
+test('leaves dates alone when they are off', () => {
+  expect(parse('Plan tomorrow', { dates: false })).toEqual({
+    text: 'Plan tomorrow',
+    tags: [],
+  });
+});
+
+test('never reads the first word', () => {
+  expect(parse('Morning pages')).toEqual({ text: 'Morning pages', tags: [] });
+  expect(parse('Tomorrow')).toEqual({ text: 'Tomorrow', tags: [] });
+  expect(parse('5k run x2')).toMatchObject({ text: '5k run', target: 2 });
+});
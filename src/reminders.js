@@ -0,0 +1,129 @@
+import { registerWorker } from './pwa';
+import { keyTimeToMs } from './clock';
+
+// Browser reminders for timed activities.
+// Notifications are shown through the service worker registration so they
+// carry "Mark done" / "Snooze" actions and work while the tab is in the
+// background. Where the browser supports notification triggers they are
+// scheduled ahead of time and fire even with the app closed; otherwise the
+// page keeps timers while it is open.
+//
+// The worker (public/service-worker.js) answers action clicks by posting
+// { type: 'reminder:done' | 'reminder:snooze', dateKey, itemId } to the page.
+
+export const SNOOZE_MINUTES = 10;
+export const TAG_PREFIX = 'reminder:';
+
+export function remindersSupported() {
+  return (
+    typeof window !== 'undefined' &&
+    'Notification' in window &&
+    'serviceWorker' in navigator
+  );
+}
+
+function triggersSupported() {
+  return (
+    typeof window !== 'undefined' &&
+    'TimestampTrigger' in window &&
+    'showTrigger' in Notification.prototype
+  );
+}
+
+export function registerServiceWorker() {
+  if (!remindersSupported()) return Promise.resolve(null);
+  return registerWorker();
+}
+
+// Resolves to 'granted' | 'denied' | 'default' | 'unsupported'
+export function requestReminderPermission() {
+  if (!remindersSupported()) return Promise.resolve('unsupported');
+  if (Notification.permission !== 'default') {
+    return Promise.resolve(Notification.permission);
+  }
+  return Notification.requestPermission();
+}
+
+export function reminderTag(dateKey, itemId) {
+  return `${TAG_PREFIX}${dateKey}:${itemId}`;
+}
+
+// Unfinished timed items of `dateKey` whose reminder is still ahead:
+// [{ tag, at, dateKey, item }]
+export function upcomingReminders(items, dateKey, now = Date.now()) {
+  const out = [];
+  for (const item of items) {
+    if (item.done || !item.time) continue;
+    const at = keyTimeToMs(dateKey, item.time);
+    if (at > now) {
+      out.push({ tag: reminderTag(dateKey, item.id), at, dateKey, item });
+    }
+  }
+  return out;
+}
+
+export function showReminder(registration, { tag, dateKey, item }, at) {
+  const options = {
+    tag,
+    body: item.duration
+      ? `${item.time} • ${item.duration} min`
+      : `${item.time}`,
+    data: { dateKey, itemId: item.id, text: item.text, time: item.time },
+    actions: [
+      { action: 'done', title: 'Mark done' },
+      { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+    ],
+    renotify: true,
+  };
+  if (at && triggersSupported()) {
+    options.showTrigger = new window.TimestampTrigger(at);
+  }
+  return registration.showNotification(item.text, options);
+}
+
+// Schedules every reminder and returns a function that cancels them.
+// `fired` (a Set of tags) stops a reminder from showing twice when the
+// schedule is rebuilt after an edit.
+export function scheduleReminders(registration, reminders, fired) {
+  const timers = [];
+  const tags = new Set(reminders.map((r) => r.tag));
+
+  if (triggersSupported()) {
+    // Drop triggers for items that were removed, re-timed or completed
+    registration
+      .getNotifications({ includeTriggered: false })
+      .then((list) => {
+        for (const n of list) {
+          if (n.tag.startsWith(TAG_PREFIX) && !tags.has(n.tag)) n.close();
+        }
+      })
+      .catch(() => {});
+    for (const r of reminders) {
+      showReminder(registration, r, r.at).catch(() => {});
+    }
+    return () => {};
+  }
+
+  for (const r of reminders) {
+    const key = `${r.tag}@${r.at}`;
+    if (fired.has(key)) continue;
+    timers.push(
+      setTimeout(() => {
+        fired.add(key);
+        showReminder(registration, r).catch(() => {});
+      }, r.at - Date.now())
+    );
+  }
+  return () => timers.forEach(clearTimeout);
+}
+
+export function snoozeReminder(registration, reminder) {
+  const delay = SNOOZE_MINUTES * 60_000;
+  if (triggersSupported()) {
+    showReminder(registration, reminder, Date.now() + delay).catch(() => {});
+    return;
+  }
+  setTimeout(() => {
+    showReminder(registration, reminder).catch(() => {});
+  }, delay);
+}
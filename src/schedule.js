@@ -0,0 +1,41 @@
+import { minutesIntoDay } from './clock';
+
+// Optional clock time ('HH:MM') and duration (minutes) on day items and
+// template entries. Untimed entries keep working exactly as before.
+
+export function normalizeTime(v) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v || '').trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, '0')}:${m[2]}`;
+}
+
+// The fields to spread into a normalized item/entry; empty when untimed
+export function scheduleFields(x) {
+  const time = normalizeTime(x?.time);
+  if (!time) return {};
+  const duration = Math.round(Number(x.duration));
+  return duration > 0 && duration <= 24 * 60 ? { time, duration } : { time };
+}
+
+export function timeToMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// e.g. "18:30 • 45 min"
+export function formatSchedule(x) {
+  if (!x.time) return '';
+  return x.duration ? `${x.time} • ${x.duration} min` : x.time;
+}
+
+// Timed entries first, in the order they come up during the day; untimed
+// ones compare equal
+export function compareByTime(a, b) {
+  if (a.time && b.time) return minutesIntoDay(a.time) - minutesIntoDay(b.time);
+  if (a.time) return -1;
+  if (b.time) return 1;
+  return 0;
+}
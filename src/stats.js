@@ -0,0 +1,177 @@
+import { progressRate } from './measures';
+import { normalizeDayItems } from './storage';
+import { addDays, keyToDate, todayKey } from './utils';
+
+// Aggregates over store.days for the Stats tab.
+// Template items get a fresh id every day, so activities are matched by
+// their (case-insensitive) text instead.
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export function activityKey(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase();
+}
+
+function pct(done, total) {
+  return total === 0 ? 0 : Math.round((done / total) * 100);
+}
+
+// Day keys in [from, to], oldest first. `from` may be null for "all".
+export function daysInWindow(days, from, to = todayKey()) {
+  return Object.keys(days || {})
+    .filter((k) => (!from || k >= from) && k <= to)
+    .sort();
+}
+
+// Streaks count consecutive days on which the activity was scheduled and
+// done. Days it was not on the list are skipped, so weekly routines keep
+// their streak. An unfinished entry for today does not break it yet.
+function streaks(occurrences, today) {
+  let longest = 0;
+  let run = 0;
+  for (const o of occurrences) {
+    if (o.done) {
+      run++;
+      if (run > longest) longest = run;
+    } else if (o.dateKey !== today) {
+      run = 0;
+    }
+  }
+  return { current: run, longest };
+}
+
+// One row per activity text:
+// { key, text, bucket, fromTemplate, inTemplates, total, done, rate, current, longest, lastDone }
+// `inTemplates` is true when any routine has an entry with that text.
+export function activityStats(days, routines, keys, today = todayKey()) {
+  const templateKeys = new Set();
+  for (const r of routines || []) {
+    for (const list of Object.values(r.templates || {})) {
+      for (const t of list || []) templateKeys.add(activityKey(t.text));
+    }
+  }
+
+  const byKey = new Map();
+  for (const dateKey of keys) {
+    // Count an activity once per day even if it was added twice
+    const seen = new Map();
+    for (const it of normalizeDayItems(days[dateKey])) {
+      const k = activityKey(it.text);
+      const prev = seen.get(k);
+      seen.set(k, {
+        text: it.text,
+        bucket: it.bucket,
+        fromTemplate: it.fromTemplate || !!prev?.fromTemplate,
+        done: it.done || !!prev?.done,
+      });
+    }
+    for (const [k, o] of seen) {
+      if (!byKey.has(k)) byKey.set(k, { ...o, occurrences: [] });
+      const row = byKey.get(k);
+      row.text = o.text;
+      row.bucket = o.bucket;
+      row.fromTemplate = row.fromTemplate || o.fromTemplate;
+      row.occurrences.push({ dateKey, done: o.done });
+    }
+  }
+
+  return [...byKey.entries()]
+    .map(([key, row]) => {
+      const total = row.occurrences.length;
+      const done = row.occurrences.filter((o) => o.done).length;
+      const lastDone = [...row.occurrences].reverse().find((o) => o.done);
+      return {
+        key,
+        text: row.text,
+        bucket: row.bucket,
+        fromTemplate: row.fromTemplate,
+        inTemplates: templateKeys.has(key),
+        total,
+        done,
+        rate: pct(done, total),
+        ...streaks(row.occurrences, today),
+        lastDone: lastDone?.dateKey || null,
+      };
+    })
+    .sort((a, b) => b.rate - a.rate || b.total - a.total);
+}
+
+// Monday of the week containing `key`
+export function weekStart(key) {
+  const offset = (keyToDate(key).getDay() + 6) % 7;
+  return addDays(key, -offset);
+}
+
+// Per bucket, completion rate for each week: { [bucketId]: [{ week, done, total, rate }] }
+export function bucketTrends(days, keys, buckets) {
+  const weeks = [...new Set(keys.map(weekStart))];
+  const out = {};
+  for (const b of buckets) {
+    out[b.id] = weeks.map((week) => ({ week, done: 0, total: 0, rate: 0 }));
+  }
+  for (const dateKey of keys) {
+    const w = weeks.indexOf(weekStart(dateKey));
+    for (const it of normalizeDayItems(days[dateKey])) {
+      const cell = out[it.bucket]?.[w];
+      if (!cell) continue;
+      cell.total++;
+      if (it.done) cell.done++;
+    }
+  }
+  for (const list of Object.values(out)) {
+    for (const cell of list) cell.rate = pct(cell.done, cell.total);
+  }
+  return out;
+}
+
+// Completion rate per weekday, Monday first
+export function weekdayBreakdown(days, keys) {
+  const out = WEEKDAYS.map((label) => ({ label, done: 0, total: 0, rate: 0 }));
+  for (const dateKey of keys) {
+    const cell = out[(keyToDate(dateKey).getDay() + 6) % 7];
+    for (const it of normalizeDayItems(days[dateKey])) {
+      cell.total++;
+      if (it.done) cell.done++;
+    }
+  }
+  for (const cell of out) cell.rate = pct(cell.done, cell.total);
+  return out;
+}
+
+// { done, total, rate } for one day's items; partial counters and timers
+// count towards the rate
+export function dayProgress(items) {
+  const list = normalizeDayItems(items);
+  const done = list.filter((x) => x.done).length;
+  return { done, total: list.length, rate: progressRate(list) };
+}
+
+// Completion per tag over `keys`: [{ tag, done, total, rate, days }] where
+// `days` counts the days with at least one completed item of that tag
+export function tagStats(days, keys) {
+  const byTag = new Map();
+  for (const dateKey of keys) {
+    for (const it of normalizeDayItems(days[dateKey])) {
+      for (const tag of it.tags || []) {
+        if (!byTag.has(tag)) {
+          byTag.set(tag, { tag, done: 0, total: 0, doneDays: new Set() });
+        }
+        const row = byTag.get(tag);
+        row.total++;
+        if (it.done) {
+          row.done++;
+          row.doneDays.add(dateKey);
+        }
+      }
+    }
+  }
+  return [...byTag.values()]
+    .map(({ doneDays, ...row }) => ({
+      ...row,
+      rate: pct(row.done, row.total),
+      days: doneDays.size,
+    }))
+    .sort((a, b) => b.done - a.done || a.tag.localeCompare(b.tag));
+}
@@ -0,0 +1,121 @@
+import {
+  activityStats,
+  bucketTrends,
+  dayProgress,
+  daysInWindow,
+  tagStats,
+  weekdayBreakdown,
+  weekStart,
+} from './stats';
+
+let ids = 0;
+const item = (text, done, fields) => ({
+  id: `i${++ids}`,
+  text,
+  bucket: 'morning',
+  done,
+  createdAt: 1,
+  fromTemplate: true,
+  ...fields,
+});
+
+// 2024-05-13 is a Monday
+const days = {
+  '2024-05-10': [item('Run', true)],
+  '2024-05-13': [item('Run', true), item('Read', false, { bucket: 'evening' })],
+  '2024-05-14': [item('run ', true), item('Read', true, { bucket: 'evening' })],
+  // Not scheduled on the 15th: the streak carries on
+  '2024-05-16': [item('Run', true), item('Run', false)],
+  '2024-05-17': [item('Run', false)],
+};
+const keys = daysInWindow(days, '2024-05-13', '2024-05-17');
+
+test('daysInWindow is inclusive, oldest first, and open at the start', () => {
+  expect(keys).toEqual([
+    '2024-05-13',
+    '2024-05-14',
+    '2024-05-16',
+    '2024-05-17',
+  ]);
+  expect(daysInWindow(days, null, '2024-05-13')).toEqual([
+    '2024-05-10',
+    '2024-05-13',
+  ]);
+});
+
+test('activityStats groups by text and counts a day once', () => {
+  const routines = [{ id: 'r', templates: { morning: [{ text: 'RUN' }] } }];
+  const [run, read] = activityStats(days, routines, keys, '2024-05-18');
+  expect(run).toMatchObject({
+    key: 'run',
+    inTemplates: true,
+    total: 4,
+    done: 3,
+    rate: 75,
+    current: 0,
+    longest: 3,
+    lastDone: '2024-05-16',
+  });
+  expect(read).toMatchObject({
+    key: 'read',
+    inTemplates: false,
+    total: 2,
+    rate: 50,
+    current: 1,
+  });
+});
+
+test('an unfinished entry for today does not break the streak yet', () => {
+  const [run] = activityStats(days, [], keys, '2024-05-17');
+  expect(run).toMatchObject({ current: 3, longest: 3 });
+});
+
+test('weekStart is the Monday of the week', () => {
+  expect(weekStart('2024-05-13')).toBe('2024-05-13');
+  expect(weekStart('2024-05-19')).toBe('2024-05-13');
+  expect(weekStart('2024-05-20')).toBe('2024-05-20');
+});
+
+test('bucketTrends and weekdayBreakdown rate each cell', () => {
+  const buckets = [{ id: 'morning' }, { id: 'evening' }, { id: 'noon' }];
+  const trends = bucketTrends(
+    days,
+    daysInWindow(days, null, '2024-05-17'),
+    buckets
+  );
+  expect(trends.morning).toEqual([
+    { week: '2024-05-06', done: 1, total: 1, rate: 100 },
+    { week: '2024-05-13', done: 3, total: 5, rate: 60 },
+  ]);
+  expect(trends.evening[1]).toMatchObject({ done: 1, total: 2, rate: 50 });
+  expect(trends.noon[1]).toMatchObject({ total: 0, rate: 0 });
+
+  const weekdays = weekdayBreakdown(days, keys);
+  expect(weekdays[0]).toEqual({ label: 'Mon', done: 1, total: 2, rate: 50 });
+  expect(weekdays[3]).toMatchObject({ label: 'Thu', done: 1, total: 2 });
+  expect(weekdays[6]).toMatchObject({ label: 'Sun', total: 0, rate: 0 });
+});
+
+test('dayProgress counts partial counters towards the rate', () => {
+  expect(
+    dayProgress([
+      item('Run', true),
+      item('Water', false, { kind: 'count', target: 8, count: 4 }),
+    ])
+  ).toEqual({ done: 1, total: 2, rate: 75 });
+  expect(dayProgress([])).toEqual({ done: 0, total: 0, rate: 0 });
+});
+
+test('tagStats counts items and days with a completed item per tag', () => {
+  const tagged = {
+    '2024-05-13': [
+      item('Run', true, { tags: ['health'] }),
+      item('Swim', true, { tags: ['health', 'water'] }),
+    ],
+    '2024-05-14': [item('Run', false, { tags: ['health'] })],
+  };
+  expect(tagStats(tagged, Object.keys(tagged))).toEqual([
+    { tag: 'health', done: 2, total: 3, rate: 67, days: 1 },
+    { tag: 'water', done: 1, total: 1, rate: 100, days: 1 },
+  ]);
+});
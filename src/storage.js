@@ -0,0 +1,467 @@
+import { normalizeLogs } from './activityLog';
+import { openBackend, STORAGE_KEY } from './backends';
+import { DEFAULT_BUCKETS, normalizeBuckets } from './buckets';
+import { clockSettings } from './clock';
+import { normalizeGoalResults, normalizeGoals } from './goals';
+import { measureFields } from './measures';
+import { scheduleFields } from './schedule';
+import { detailFields } from './subtasks';
+import { tagFields } from './tags';
+import {
+  emptyTemplates,
+  makeRoutine,
+  makeTemplate,
+  normalizeTemplateEntry,
+} from './templates';
+import { addDays, safeJSONParse, todayKey, uid } from './utils';
+
+// Persistence for the tracker store.
+// - { version, settings, buckets, routines, days, logs, goals, goalResults }
+//   kept in a backend (see backends.js)
+// - Ordered migration chain, so old stores are upgraded step by step
+// - Validation reports what it drops instead of discarding it silently
+// - Save failures (quota, private mode) are returned, not swallowed
+
+export { STORAGE_KEY };
+
+// Records we could not read are copied here so they can still be recovered.
+export const QUARANTINE_KEY = `${STORAGE_KEY}:quarantine`;
+
+export const SCHEMA_VERSION = 8;
+
+// Days of history to keep; null keeps everything
+export const RETENTION_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: null, label: 'Forever' },
+];
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+function defaultSettings() {
+  return {
+    retentionDays: DEFAULT_RETENTION_DAYS,
+    carryOver: false,
+    reminders: false,
+    // When a day begins and in which zone; '' follows the device
+    dayStartHour: 0,
+    timeZone: '',
+  };
+}
+
+function storeWithRoutine(routine) {
+  return {
+    version: SCHEMA_VERSION,
+    settings: {
+      ...defaultSettings(),
+      routineByWeekday: Array(7).fill(routine.id),
+    },
+    buckets: DEFAULT_BUCKETS.map((b) => ({ ...b })),
+    routines: [routine],
+    days: {},
+    logs: {},
+    goals: [],
+    goalResults: [],
+  };
+}
+
+export function emptyStore() {
+  return storeWithRoutine(makeRoutine('Everyday'));
+}
+
+export function defaultStore() {
+  return storeWithRoutine(
+    makeRoutine('Everyday', {
+      morning: ['Water', 'Stretch', 'Plan day'].map((t) => makeTemplate(t)),
+      noon: ['Lunch', '5-min walk'].map((t) => makeTemplate(t)),
+      evening: ['Review day', 'Read 10 min'].map((t) => makeTemplate(t)),
+    })
+  );
+}
+
+// Each step upgrades a store from `version - 1` to `version`.
+// Append new steps at the end and bump SCHEMA_VERSION with them.
+export const MIGRATIONS = [
+  {
+    version: 2,
+    // v1 kept a single day: { dateKey, items }
+    up: (s) => ({
+      version: 2,
+      templates: emptyTemplates(),
+      days: s.dateKey ? { [s.dateKey]: s.items } : {},
+    }),
+  },
+  {
+    version: 3,
+    // Retention became a setting instead of a hard 7-day prune
+    up: (s) => ({ ...s, version: 3, settings: defaultSettings() }),
+  },
+  {
+    version: 4,
+    // Template entries went from plain strings to { id, text, repeat }
+    up: (s) => ({
+      ...s,
+      version: 4,
+      templates: normalizeTemplates(s.templates),
+    }),
+  },
+  {
+    version: 5,
+    // The single template set became the first of several named routines
+    up: ({ templates, ...s }) => {
+      const routine = makeRoutine('Everyday', normalizeTemplates(templates));
+      return {
+        ...s,
+        version: 5,
+        settings: {
+          ...s.settings,
+          routineByWeekday: Array(7).fill(routine.id),
+        },
+        routines: [routine],
+      };
+    },
+  },
+  {
+    version: 6,
+    // Buckets became user-defined; start from the old fixed three
+    up: (s) => ({
+      ...s,
+      version: 6,
+      buckets: DEFAULT_BUCKETS.map((b) => ({ ...b })),
+    }),
+  },
+  {
+    version: 7,
+    // Per-day activity log next to the days
+    up: (s) => ({ ...s, version: 7, logs: {} }),
+  },
+  {
+    version: 8,
+    // Weekly/monthly goals and their archived results (see goals.js)
+    up: (s) => ({ ...s, version: 8, goals: [], goalResults: [] }),
+  },
+];
+
+export function detectVersion(raw) {
+  if (typeof raw.version === 'number') return raw.version;
+  if (raw.dateKey && Array.isArray(raw.items)) return 1;
+  // Early v2 stores were written without a version field
+  return 2;
+}
+
+export function migrateStore(raw) {
+  const from = detectVersion(raw);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `Store version ${from} is newer than this app (${SCHEMA_VERSION}).`
+    );
+  }
+  let s = raw;
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    s = m.up(s);
+  }
+  return { ...s, version: SCHEMA_VERSION };
+}
+
+// With `bucketIds`, items in an unknown bucket move to the first one
+export function validateDayItems(items, bucketIds) {
+  if (!Array.isArray(items)) {
+    return {
+      items: [],
+      dropped:
+        items == null
+          ? []
+          : [{ index: -1, reason: 'not a list', record: items }],
+    };
+  }
+  const kept = [];
+  const dropped = [];
+  items.forEach((x, index) => {
+    if (!x || typeof x !== 'object') {
+      dropped.push({ index, reason: 'not an object', record: x });
+      return;
+    }
+    const text = String(x.text || '').trim();
+    if (!text) {
+      dropped.push({ index, reason: 'empty text', record: x });
+      return;
+    }
+    kept.push({
+      id: x.id || uid(),
+      text,
+      bucket: bucketIds
+        ? bucketIds.includes(x.bucket)
+          ? x.bucket
+          : bucketIds[0]
+        : x.bucket || DEFAULT_BUCKETS[0].id,
+      done: !!x.done,
+      createdAt: typeof x.createdAt === 'number' ? x.createdAt : Date.now(),
+      fromTemplate: !!x.fromTemplate,
+      ...(x.done && typeof x.completedAt === 'number'
+        ? { completedAt: x.completedAt }
+        : {}),
+      ...scheduleFields(x),
+      ...measureFields(x),
+      ...detailFields(x),
+      ...tagFields(x),
+      ...(Number.isFinite(x.order) ? { order: x.order } : {}),
+      ...(typeof x.routineId === 'string' ? { routineId: x.routineId } : {}),
+      ...(typeof x.carriedFrom === 'string'
+        ? {
+            carriedFrom: x.carriedFrom,
+            carryCount: Number(x.carryCount) || 1,
+            carryPending: !!x.carryPending,
+          }
+        : {}),
+    });
+  });
+  return { items: kept, dropped };
+}
+
+export function normalizeDayItems(items, bucketIds) {
+  return validateDayItems(items, bucketIds).items;
+}
+
+// With `bucketIds`, entries of unknown buckets are appended to the first one
+function normalizeTemplates(templates, bucketIds) {
+  const out = emptyTemplates();
+  if (!templates || typeof templates !== 'object') return out;
+  for (const [k, list] of Object.entries(templates)) {
+    if (!Array.isArray(list)) continue;
+    const key = !bucketIds || bucketIds.includes(k) ? k : bucketIds[0];
+    out[key] = [
+      ...(out[key] || []),
+      ...list.map(normalizeTemplateEntry).filter(Boolean),
+    ];
+  }
+  return out;
+}
+
+// Without a single usable routine in `routines`, `fallback` (a new one)
+function normalizeRoutines(
+  routines,
+  bucketIds,
+  fallback = [makeRoutine('Everyday')]
+) {
+  const out = [];
+  const ids = new Set();
+  for (const r of Array.isArray(routines) ? routines : []) {
+    if (!r || typeof r !== 'object') continue;
+    const id = typeof r.id === 'string' && !ids.has(r.id) ? r.id : uid();
+    ids.add(id);
+    out.push({
+      id,
+      name: String(r.name || '').trim() || 'Routine',
+      templates: normalizeTemplates(r.templates, bucketIds),
+    });
+  }
+  return out.length > 0 ? out : fallback;
+}
+
+function normalizeSettings(settings, routines) {
+  const out = defaultSettings();
+  const ids = routines.map((r) => r.id);
+  const byWeekday = Array.isArray(settings?.routineByWeekday)
+    ? settings.routineByWeekday
+    : [];
+  out.routineByWeekday = Array.from({ length: 7 }, (_, i) =>
+    ids.includes(byWeekday[i]) ? byWeekday[i] : ids[0]
+  );
+  if (!settings || typeof settings !== 'object') return out;
+  if (RETENTION_OPTIONS.some((o) => o.value === settings.retentionDays)) {
+    out.retentionDays = settings.retentionDays;
+  }
+  out.carryOver = !!settings.carryOver;
+  out.reminders = !!settings.reminders;
+  return { ...out, ...clockSettings(settings) };
+}
+
+// Drops days older than the retention window. Future days are kept.
+export function pruneHistory(daysObj, retentionDays, today = todayKey()) {
+  if (retentionDays == null) return daysObj || {};
+  const cutoff = addDays(today, -(retentionDays - 1));
+  const kept = {};
+  for (const [k, v] of Object.entries(daysObj || {})) {
+    if (k >= cutoff) kept[k] = v;
+  }
+  return kept;
+}
+
+// pruneHistory for the days and their logs together
+export function pruneStore(store, retentionDays, today = todayKey()) {
+  const keep =
+    retentionDays === undefined ? store.settings.retentionDays : retentionDays;
+  return {
+    ...store,
+    days: pruneHistory(store.days, keep, today),
+    logs: pruneHistory(store.logs, keep, today),
+  };
+}
+
+// Returns a clean store plus every record that did not survive, tagged
+// with the day it came from.
+export function validateStore(s) {
+  const buckets = normalizeBuckets(s?.buckets);
+  const bucketIds = buckets.map((b) => b.id);
+  const dropped = [];
+  const days = {};
+  const src = s?.days && typeof s.days === 'object' ? s.days : {};
+  for (const [dateKey, list] of Object.entries(src)) {
+    const res = validateDayItems(list, bucketIds);
+    days[dateKey] = res.items;
+    for (const d of res.dropped) dropped.push({ dateKey, ...d });
+  }
+  const routines = normalizeRoutines(s?.routines, bucketIds);
+  return {
+    store: {
+      ...s,
+      version: SCHEMA_VERSION,
+      settings: normalizeSettings(s?.settings, routines),
+      buckets,
+      routines,
+      days,
+      logs: normalizeLogs(s?.logs),
+      goals: normalizeGoals(s?.goals),
+      goalResults: normalizeGoalResults(s?.goalResults),
+    },
+    dropped,
+  };
+}
+
+// Store-wide fields received from elsewhere (the sync server) applied to
+// `store` and normalized like validateStore does: routines against the
+// buckets, settings against the routines. A field with nothing usable in
+// it is dropped and the store keeps its own; settings missing a key keep
+// the store's value for it.
+export function applyStoreFields(store, fields) {
+  const next = { ...store };
+  if ('buckets' in fields) {
+    const buckets = normalizeBuckets(fields.buckets, []);
+    if (buckets.length > 0) next.buckets = buckets;
+  }
+  const bucketIds = next.buckets.map((b) => b.id);
+  const routines = normalizeRoutines(fields.routines, bucketIds, null);
+  next.routines = routines || normalizeRoutines(next.routines, bucketIds);
+  const settings =
+    fields.settings && typeof fields.settings === 'object'
+      ? { ...next.settings, ...fields.settings }
+      : next.settings;
+  next.settings = normalizeSettings(settings, next.routines);
+  if (Array.isArray(fields.goals)) {
+    const goals = normalizeGoals(fields.goals);
+    if (goals.length > 0 || fields.goals.length === 0) next.goals = goals;
+  }
+  return next;
+}
+
+// Whether the copy was kept; when it was not, the data exists only in the
+// store itself, so the caller must not let it be saved over
+function quarantine(entry, storage = window.localStorage) {
+  try {
+    const prev = safeJSONParse(storage.getItem(QUARANTINE_KEY));
+    const list = Array.isArray(prev) ? prev : [];
+    list.push({ at: Date.now(), ...entry });
+    storage.setItem(QUARANTINE_KEY, JSON.stringify(list));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Resolves to { store, dropped, migratedFrom, error, readOnly, backend }.
+// `readOnly` is set when saving would overwrite data we could not read.
+export async function loadStore(backend) {
+  let raw;
+  try {
+    if (!backend) backend = await openBackend();
+    raw = await backend.read();
+  } catch (err) {
+    return {
+      store: emptyStore(),
+      dropped: [],
+      error: err,
+      readOnly: true,
+      backend,
+    };
+  }
+  if (!raw) return { store: defaultStore(), dropped: [], backend };
+
+  const parsed = typeof raw === 'string' ? safeJSONParse(raw) : raw;
+  if (!parsed || typeof parsed !== 'object') {
+    if (!quarantine({ reason: 'unreadable store', raw })) {
+      return {
+        store: emptyStore(),
+        dropped: [],
+        error: new Error('Saved data was unreadable and could not be copied.'),
+        readOnly: true,
+        backend,
+      };
+    }
+    return {
+      store: emptyStore(),
+      dropped: [],
+      error: new Error('Saved data was unreadable and has been set aside.'),
+      backend,
+    };
+  }
+
+  const migratedFrom = detectVersion(parsed);
+  let migrated;
+  try {
+    migrated = migrateStore(parsed);
+  } catch (err) {
+    return {
+      store: emptyStore(),
+      dropped: [],
+      error: err,
+      readOnly: true,
+      backend,
+    };
+  }
+
+  const { store, dropped } = validateStore(migrated);
+  if (dropped.length > 0 && !quarantine({ reason: 'invalid items', dropped })) {
+    return {
+      store,
+      dropped,
+      error: new Error(
+        `${dropped.length} saved record(s) could not be read or copied.`
+      ),
+      readOnly: true,
+      backend,
+    };
+  }
+  return {
+    store,
+    dropped,
+    migratedFrom: migratedFrom === SCHEMA_VERSION ? undefined : migratedFrom,
+    backend,
+  };
+}
+
+export function isQuotaError(err) {
+  return (
+    !!err &&
+    (err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 ||
+      err.code === 1014)
+  );
+}
+
+// Resolves to { ok: true } or { ok: false, reason: 'quota' | 'error', error }.
+export async function saveStore(store, backend) {
+  try {
+    await backend.write(store);
+    return { ok: true };
+  } catch (error) {
+    return {
+      ok: false,
+      reason: isQuotaError(error) ? 'quota' : 'error',
+      error,
+    };
+  }
+}
@@ -0,0 +1,184 @@
+import {
+  detectVersion,
+  loadStore,
+  migrateStore,
+  QUARANTINE_KEY,
+  saveStore,
+  SCHEMA_VERSION,
+  validateDayItems,
+  validateStore,
+} from './storage';
+
+// A backend over a value in memory (see backends.js)
+function memoryBackend(raw, write = async () => {}) {
+  return { name: 'memory', read: async () => raw, write };
+}
+
+beforeEach(() => localStorage.clear());
+
+describe('migrations', () => {
+  test('v1 (a single day) goes all the way up', () => {
+    const v1 = {
+      dateKey: '2024-05-15',
+      items: [{ id: 'a', text: 'Water', bucket: 'morning', done: true }],
+    };
+    expect(detectVersion(v1)).toBe(1);
+    const s = migrateStore(v1);
+    expect(s.version).toBe(SCHEMA_VERSION);
+    expect(s.days).toEqual({ '2024-05-15': v1.items });
+    expect(s.routines).toHaveLength(1);
+    expect(s.settings.routineByWeekday).toEqual(
+      Array(7).fill(s.routines[0].id)
+    );
+    expect(s.buckets.map((b) => b.id)).toEqual(['morning', 'noon', 'evening']);
+    expect(s).toMatchObject({ logs: {}, goals: [], goalResults: [] });
+    expect(s).not.toHaveProperty('templates');
+  });
+
+  test('v2 string templates become entries of the first routine', () => {
+    const v2 = {
+      templates: { morning: ['Water', 'Stretch'], noon: [], evening: ['Read'] },
+      days: { '2024-05-15': [] },
+    };
+    expect(detectVersion(v2)).toBe(2);
+    const { store } = validateStore(migrateStore(v2));
+    const { templates } = store.routines[0];
+    expect(templates.morning.map((t) => t.text)).toEqual(['Water', 'Stretch']);
+    expect(templates.evening[0]).toMatchObject({
+      text: 'Read',
+      repeat: { type: 'daily' },
+    });
+    expect(store.settings.retentionDays).toBe(90);
+  });
+
+  test('a store from a newer app is refused', () => {
+    expect(() => migrateStore({ version: SCHEMA_VERSION + 1 })).toThrow(
+      /newer than this app/
+    );
+  });
+});
+
+describe('validateDayItems', () => {
+  test('reports what it drops', () => {
+    const { items, dropped } = validateDayItems(
+      [
+        { id: 'a', text: ' Run ', bucket: 'gone' },
+        null,
+        { id: 'b', text: '   ' },
+        'Read',
+      ],
+      ['morning', 'noon']
+    );
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ id: 'a', text: 'Run', bucket: 'morning' });
+    expect(dropped.map((d) => [d.index, d.reason])).toEqual([
+      [1, 'not an object'],
+      [2, 'empty text'],
+      [3, 'not an object'],
+    ]);
+  });
+
+  test('a day that is not a list is dropped whole', () => {
+    expect(validateDayItems({ a: 1 })).toEqual({
+      items: [],
+      dropped: [{ index: -1, reason: 'not a list', record: { a: 1 } }],
+    });
+    expect(validateDayItems(undefined)).toEqual({ items: [], dropped: [] });
+  });
+});
+
+describe('loadStore', () => {
+  test('quarantines dropped items with their day', async () => {
+    const raw = {
+      version: 2,
+      templates: {},
+      days: { '2024-05-15': [{ text: 'Run' }, { text: '' }] },
+    };
+    const report = await loadStore(memoryBackend(JSON.stringify(raw)));
+    expect(report.migratedFrom).toBe(2);
+    expect(report.store.days['2024-05-15']).toHaveLength(1);
+    expect(report.dropped).toEqual([
+      {
+        dateKey: '2024-05-15',
+        index: 1,
+        reason: 'empty text',
+        record: { text: '' },
+      },
+    ]);
+    const [entry] = JSON.parse(localStorage.getItem(QUARANTINE_KEY));
+    expect(entry).toMatchObject({
+      reason: 'invalid items',
+      dropped: report.dropped,
+    });
+  });
+
+  test('sets an unreadable store aside', async () => {
+    const report = await loadStore(memoryBackend('{not json'));
+    expect(report.error.message).toMatch(/set aside/);
+    expect(report.readOnly).toBeUndefined();
+    expect(JSON.parse(localStorage.getItem(QUARANTINE_KEY))[0]).toMatchObject({
+      reason: 'unreadable store',
+      raw: '{not json',
+    });
+  });
+
+  test('does not save over data it could not set aside', async () => {
+    const setItem = jest
+      .spyOn(Storage.prototype, 'setItem')
+      .mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+    try {
+      const unreadable = await loadStore(memoryBackend('{not json'));
+      expect(unreadable).toMatchObject({ readOnly: true });
+      expect(unreadable.error.message).toMatch(/could not be copied/);
+      const raw = { version: 2, days: { '2024-05-15': [{ text: '' }] } };
+      const invalid = await loadStore(memoryBackend(JSON.stringify(raw)));
+      expect(invalid).toMatchObject({ readOnly: true });
+      expect(invalid.dropped).toHaveLength(1);
+    } finally {
+      setItem.mockRestore();
+    }
+  });
+
+  test('does not save over a store it could not read', async () => {
+    const failing = {
+      read: async () => {
+        throw new Error('blocked');
+      },
+    };
+    expect(await loadStore(failing)).toMatchObject({ readOnly: true });
+    const newer = memoryBackend({ version: SCHEMA_VERSION + 1 });
+    expect(await loadStore(newer)).toMatchObject({ readOnly: true });
+  });
+});
+
+describe('saveStore', () => {
+  const fail = (error) =>
+    memoryBackend(null, async () => {
+      throw error;
+    });
+
+  test('resolves ok when the write goes through', async () => {
+    expect(await saveStore({}, memoryBackend(null))).toEqual({ ok: true });
+  });
+
+  test('tells a full quota from other failures', async () => {
+    const quota = new Error('full');
+    quota.name = 'QuotaExceededError';
+    expect(await saveStore({}, fail(quota))).toEqual({
+      ok: false,
+      reason: 'quota',
+      error: quota,
+    });
+    const firefox = { name: 'NS_ERROR_DOM_QUOTA_REACHED' };
+    expect((await saveStore({}, fail(firefox))).reason).toBe('quota');
+
+    const other = new Error('disk on fire');
+    expect(await saveStore({}, fail(other))).toEqual({
+      ok: false,
+      reason: 'error',
+      error: other,
+    });
+  });
+});
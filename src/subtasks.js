@@ -0,0 +1,103 @@
+import { uid } from './utils';
+
+// Notes and subtask checklists on day items and template entries.
+// - notes: free text, rendered as markdown-lite (see notes.js)
+// - subtasks: [{ id, text, done }]; template entries keep no `done`
+// An item with subtasks is done exactly when all of them are, so checking
+// the last one completes it and its progress is the share that is done.
+
+function normalizeSubtasks(list, withDone) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const s of list) {
+    const text = String(s?.text || '').trim();
+    if (!text) continue;
+    const id = typeof s.id === 'string' ? s.id : uid();
+    out.push(withDone ? { id, text, done: !!s.done } : { id, text });
+  }
+  return out;
+}
+
+function fields(x, withDone) {
+  const notes = typeof x?.notes === 'string' ? x.notes.trim() : '';
+  const subtasks = normalizeSubtasks(x?.subtasks, withDone);
+  return {
+    ...(notes ? { notes } : {}),
+    ...(subtasks.length > 0 ? { subtasks } : {}),
+  };
+}
+
+// For day items
+export function detailFields(x) {
+  return fields(x, true);
+}
+
+// For template entries
+export function detailDefinition(x) {
+  return fields(x, false);
+}
+
+// Notes and a fresh, unchecked checklist for an item made from an entry
+export function startDetails(entry) {
+  const def = detailDefinition(entry);
+  if (!def.subtasks) return def;
+  return {
+    ...def,
+    subtasks: def.subtasks.map((s) => ({
+      id: uid(),
+      text: s.text,
+      done: false,
+    })),
+  };
+}
+
+export function subtaskCounts(x) {
+  const list = x.subtasks || [];
+  return { done: list.filter((s) => s.done).length, total: list.length };
+}
+
+// Keeps `done` in step with the checklist on day items
+function withSubtasks(x, subtasks) {
+  const { subtasks: previous, ...rest } = x;
+  if (subtasks.length === 0) return rest;
+  if (!('done' in x)) return { ...rest, subtasks };
+  return { ...rest, subtasks, done: subtasks.every((s) => s.done) };
+}
+
+export function addSubtask(x, text) {
+  const trimmed = text.trim();
+  if (!trimmed) return x;
+  const sub = { id: uid(), text: trimmed };
+  if ('done' in x) sub.done = false;
+  return withSubtasks(x, [...(x.subtasks || []), sub]);
+}
+
+export function removeSubtask(x, subId) {
+  return withSubtasks(
+    x,
+    (x.subtasks || []).filter((s) => s.id !== subId)
+  );
+}
+
+export function toggleSubtask(item, subId) {
+  return withSubtasks(
+    item,
+    (item.subtasks || []).map((s) =>
+      s.id === subId ? { ...s, done: !s.done } : s
+    )
+  );
+}
+
+// Checking the parent checks the whole list, and unchecking clears it
+export function setAllSubtasks(item, done) {
+  return withSubtasks(
+    item,
+    (item.subtasks || []).map((s) => ({ ...s, done }))
+  );
+}
+
+export function setNotes(x, notes) {
+  const { notes: previous, ...rest } = x;
+  const trimmed = notes.trim();
+  return trimmed ? { ...rest, notes: trimmed } : rest;
+}
@@ -0,0 +1,94 @@
+import {
+  addSubtask,
+  detailDefinition,
+  detailFields,
+  removeSubtask,
+  setAllSubtasks,
+  setNotes,
+  startDetails,
+  subtaskCounts,
+  toggleSubtask,
+} from './subtasks';
+
+const item = (subtasks) => ({
+  id: 'i1',
+  text: 'Pack',
+  done: false,
+  subtasks: subtasks.map(([id, done]) => ({ id, text: id, done })),
+});
+
+test('detail fields drop blank notes and empty subtasks', () => {
+  expect(detailFields({ notes: '  ', subtasks: [{ text: ' ' }] })).toEqual({});
+  expect(
+    detailFields({
+      notes: ' Bring **tea** ',
+      subtasks: [{ id: 's1', text: ' Tea ', done: 1 }, null],
+    })
+  ).toEqual({
+    notes: 'Bring **tea**',
+    subtasks: [{ id: 's1', text: 'Tea', done: true }],
+  });
+  // Template entries keep the checklist without progress
+  expect(
+    detailDefinition({ subtasks: [{ id: 's1', text: 'Tea', done: true }] })
+  ).toEqual({ subtasks: [{ id: 's1', text: 'Tea' }] });
+});
+
+test('startDetails gives an item from a template a fresh checklist', () => {
+  const entry = { notes: 'n', subtasks: [{ id: 's1', text: 'Tea' }] };
+  const started = startDetails(entry);
+  expect(started.notes).toBe('n');
+  expect(started.subtasks).toEqual([
+    { id: expect.any(String), text: 'Tea', done: false },
+  ]);
+  expect(started.subtasks[0].id).not.toBe('s1');
+});
+
+test('the item is done exactly when every subtask is', () => {
+  let it = item([
+    ['a', true],
+    ['b', false],
+  ]);
+  expect(subtaskCounts(it)).toEqual({ done: 1, total: 2 });
+  it = toggleSubtask(it, 'b');
+  expect(it.done).toBe(true);
+  it = addSubtask(it, '  Socks ');
+  expect(it.done).toBe(false);
+  expect(it.subtasks[2]).toMatchObject({ text: 'Socks', done: false });
+  expect(addSubtask(it, '  ')).toBe(it);
+  it = removeSubtask(it, it.subtasks[2].id);
+  expect(it.done).toBe(true);
+  // Removing the last one leaves a plain item as it was
+  expect(removeSubtask(removeSubtask(it, 'a'), 'b')).toEqual({
+    id: 'i1',
+    text: 'Pack',
+    done: true,
+  });
+});
+
+test('setAllSubtasks checks or clears the whole list', () => {
+  const it = item([
+    ['a', true],
+    ['b', false],
+  ]);
+  const done = setAllSubtasks(it, true);
+  expect(done.done).toBe(true);
+  expect(subtaskCounts(done)).toEqual({ done: 2, total: 2 });
+  const open = setAllSubtasks(done, false);
+  expect(open.done).toBe(false);
+  expect(subtaskCounts(open)).toEqual({ done: 0, total: 2 });
+});
+
+test('template entries have no done state to keep in step', () => {
+  const entry = addSubtask({ id: 't1', text: 'Pack' }, 'Tea');
+  expect(entry).not.toHaveProperty('done');
+  expect(entry.subtasks[0]).not.toHaveProperty('done');
+});
+
+test('setNotes trims and removes empty notes', () => {
+  expect(setNotes({ id: 'i1', notes: 'old' }, '  new ')).toEqual({
+    id: 'i1',
+    notes: 'new',
+  });
+  expect(setNotes({ id: 'i1', notes: 'old' }, '  ')).toEqual({ id: 'i1' });
+});
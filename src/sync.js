@@ -0,0 +1,318 @@
+import { applyStoreFields, normalizeDayItems, STORAGE_KEY } from './storage';
+import { applyDayChanges } from './tabSync';
+import { safeJSONParse } from './utils';
+
+// Optional sync with a self-hosted server, through an adapter (see
+// syncAdapters.js). The store is cut into records { key, at, value }:
+// - 'item/<dateKey>/<id>'  one day item; value null once it was deleted
+// - 'store/<field>'        settings, buckets, routines or goals as a whole
+// `at` is when this device made the change, and per key the newest one
+// wins. Activity logs and archived goal results stay on each device; every
+// device archives the results from the same days.
+//
+// Changes are queued in localStorage first, so they survive going offline
+// and reloads, and are uploaded on the next round. The sync state lives
+// outside the store: it is per device and holds the token.
+
+export const SYNC_STATE_KEY = `${STORAGE_KEY}:remote`;
+export const SYNC_FIELDS = ['settings', 'buckets', 'routines', 'goals'];
+export const SYNC_INTERVAL = 60_000;
+
+// { endpoint, token, cursor, queue, stamps, lastSyncAt, lastError }
+// `stamps` is the newest `at` seen per key, sent or received
+function emptySyncState() {
+  return {
+    endpoint: '',
+    token: '',
+    cursor: null,
+    queue: [],
+    stamps: {},
+    lastSyncAt: null,
+    lastError: null,
+  };
+}
+
+export function loadSyncState(storage = window.localStorage) {
+  let parsed = null;
+  try {
+    parsed = safeJSONParse(storage.getItem(SYNC_STATE_KEY));
+  } catch {
+    // storage blocked: sync stays off
+  }
+  const state = { ...emptySyncState(), ...(parsed || {}) };
+  if (!Array.isArray(state.queue)) state.queue = [];
+  if (!state.stamps || typeof state.stamps !== 'object') state.stamps = {};
+  return state;
+}
+
+// Read-modify-write, so tabs sharing the state do not undo each other.
+// When `fn` returns the state it was given, nothing is written.
+export function updateSyncState(fn, storage = window.localStorage) {
+  const prev = loadSyncState(storage);
+  const next = fn(prev);
+  if (next === prev) return next;
+  try {
+    storage.setItem(SYNC_STATE_KEY, JSON.stringify(next));
+  } catch {
+    // keeps working from memory for this round
+  }
+  return next;
+}
+
+// Points sync at a server; a different server starts over with a fresh join
+export function configureSync({ endpoint, token }, storage) {
+  return updateSyncState(
+    (s) =>
+      s.endpoint === endpoint
+        ? { ...s, token, lastError: null }
+        : { ...emptySyncState(), endpoint, token },
+    storage
+  );
+}
+
+export function disableSync(storage) {
+  return updateSyncState(() => emptySyncState(), storage);
+}
+
+export function itemKey(dateKey, id) {
+  return `item/${dateKey}/${id}`;
+}
+
+function parseKey(key) {
+  const [type, a, ...rest] = String(key).split('/');
+  if (type === 'item' && a && rest.length > 0) {
+    return { type, dateKey: a, id: rest.join('/') };
+  }
+  if (type === 'store' && SYNC_FIELDS.includes(a)) return { type, field: a };
+  return null;
+}
+
+function isRecord(r) {
+  return (
+    !!r &&
+    typeof r === 'object' &&
+    typeof r.at === 'number' &&
+    parseKey(r.key) !== null
+  );
+}
+
+// Records for a tabSync patch of changes made on this device to `store`.
+// The server keeps whole fields, and the patch only the settings that
+// changed, so field values come from the store.
+export function patchRecords(patch, store, at = Date.now()) {
+  const out = [];
+  for (const field of SYNC_FIELDS) {
+    if (field in patch)
+      out.push({ key: `store/${field}`, at, value: store[field] });
+  }
+  // A day that went away was pruned, not emptied: other devices keep it
+  for (const [dateKey, changes] of Object.entries(patch.days || {})) {
+    if (!changes) continue;
+    for (const item of changes.upsert) {
+      out.push({ key: itemKey(dateKey, item.id), at, value: item });
+    }
+    for (const id of changes.remove) {
+      out.push({ key: itemKey(dateKey, id), at, value: null });
+    }
+  }
+  return out;
+}
+
+// Everything this device has, for its first upload. Items are dated by
+// when they were last completed or created.
+export function snapshotRecords(store, at = Date.now()) {
+  const out = SYNC_FIELDS.map((field) => ({
+    key: `store/${field}`,
+    at,
+    value: store[field],
+  }));
+  for (const [dateKey, items] of Object.entries(store.days || {})) {
+    for (const item of items) {
+      out.push({
+        key: itemKey(dateKey, item.id),
+        at: item.completedAt || item.createdAt || at,
+        value: item,
+      });
+    }
+  }
+  return out;
+}
+
+// One record per key, the newest
+export function queueRecords(queue, records) {
+  const byKey = new Map(queue.map((r) => [r.key, r]));
+  for (const r of records) {
+    const prev = byKey.get(r.key);
+    if (!prev || r.at >= prev.at) byKey.set(r.key, r);
+  }
+  return [...byKey.values()];
+}
+
+function stampRecords(stamps, records) {
+  const out = { ...stamps };
+  for (const r of records) out[r.key] = Math.max(out[r.key] || 0, r.at);
+  return out;
+}
+
+// Stamps of days this device no longer keeps go with them
+function pruneStamps(stamps, store) {
+  const oldest = Object.keys(store.days || {}).sort()[0];
+  if (!oldest) return stamps;
+  const out = {};
+  for (const [key, at] of Object.entries(stamps)) {
+    const k = parseKey(key);
+    if (k?.type !== 'item' || k.dateKey >= oldest) out[key] = at;
+  }
+  return out;
+}
+
+// Queues changes made on this device; false while sync is off or when
+// the queue already holds them (or newer), and then nothing is written
+export function queueChanges(records, storage) {
+  if (records.length === 0) return false;
+  let queued = false;
+  updateSyncState((s) => {
+    if (!s.endpoint) return s;
+    const queue = queueRecords(s.queue, records);
+    // Keys keep their place in the queue, so equal JSON means no change
+    if (JSON.stringify(queue) === JSON.stringify(s.queue)) return s;
+    queued = true;
+    return { ...s, queue, stamps: stampRecords(s.stamps, records) };
+  }, storage);
+  return queued;
+}
+
+// First round of a device: what the server already has wins, except that
+// items this device seeded from its own templates on days the server
+// knows are dropped, so a routine does not show up twice. The rest of the
+// device's data is uploaded. Returns { apply, upload }.
+export function joinRecords(store, serverRecords) {
+  const serverKeys = new Set(serverRecords.map((r) => r.key));
+  const serverDays = new Set(
+    serverRecords
+      .map((r) => parseKey(r.key))
+      .filter((k) => k?.type === 'item')
+      .map((k) => k.dateKey)
+  );
+  const apply = [...serverRecords];
+  const upload = [];
+  for (const r of snapshotRecords(store)) {
+    if (serverKeys.has(r.key)) continue;
+    const k = parseKey(r.key);
+    if (
+      k.type === 'item' &&
+      serverDays.has(k.dateKey) &&
+      r.value.fromTemplate
+    ) {
+      apply.push({ ...r, value: null });
+    } else {
+      upload.push(r);
+    }
+  }
+  return { apply, upload };
+}
+
+// The store with `records` applied; values are normalized on the way and
+// store fields with nothing usable in them are dropped (see
+// applyStoreFields), since the cursor has moved past them for good
+export function applyRecords(store, records) {
+  const next = { ...store, days: { ...(store.days || {}) } };
+  const fields = {};
+  for (const r of records) {
+    const k = parseKey(r.key);
+    if (!k) continue;
+    if (k.type === 'store') {
+      fields[k.field] = r.value;
+      continue;
+    }
+    const [item] = r.value ? normalizeDayItems([r.value]) : [];
+    if (r.value ? !item : !next.days[k.dateKey]) continue;
+    next.days[k.dateKey] = applyDayChanges(
+      next.days[k.dateKey],
+      item ? { upsert: [{ ...item, id: k.id }] } : { remove: [k.id] }
+    );
+  }
+  return Object.keys(fields).length > 0 ? applyStoreFields(next, fields) : next;
+}
+
+// Item changes among `records` for one day, as a tabSync day change
+export function dayRecordChanges(records, dateKey) {
+  const upsert = [];
+  const remove = [];
+  for (const r of records) {
+    const k = parseKey(r.key);
+    if (k?.type !== 'item' || k.dateKey !== dateKey) continue;
+    const [item] = r.value ? normalizeDayItems([r.value]) : [];
+    if (item) upsert.push({ ...item, id: k.id });
+    else if (!r.value) remove.push(k.id);
+  }
+  return upsert.length > 0 || remove.length > 0 ? { upsert, remove } : null;
+}
+
+// One round: join on first use, upload the queue, then download what
+// changed. `store` is this device's current store (only read for the
+// join). Resolves to the records to apply locally; rejects like the
+// adapter does, with the queue left in place.
+export async function syncRound(adapter, store, storage) {
+  let state = loadSyncState(storage);
+  let joined = [];
+  if (state.cursor == null) {
+    const first = await adapter.pull(null);
+    const { apply, upload } = joinRecords(
+      store,
+      first.records.filter(isRecord)
+    );
+    state = updateSyncState(
+      (s) => ({
+        ...s,
+        cursor: first.cursor,
+        queue: queueRecords(s.queue, upload),
+        stamps: stampRecords(s.stamps, [...apply, ...upload]),
+      }),
+      storage
+    );
+    joined = apply;
+  }
+
+  const sending = state.queue;
+  if (sending.length > 0) {
+    await adapter.push(sending);
+    const sent = new Set(sending.map((r) => `${r.key}@${r.at}`));
+    updateSyncState(
+      (s) => ({
+        ...s,
+        queue: s.queue.filter((r) => !sent.has(`${r.key}@${r.at}`)),
+      }),
+      storage
+    );
+  }
+
+  const { records, cursor } = await adapter.pull(state.cursor);
+  let newer = [];
+  updateSyncState((s) => {
+    // Our own uploads come back with the stamp we gave them and are skipped
+    newer = records.filter((r) => isRecord(r) && r.at > (s.stamps[r.key] || 0));
+    return {
+      ...s,
+      cursor,
+      stamps: pruneStamps(stampRecords(s.stamps, newer), store),
+      lastSyncAt: Date.now(),
+      lastError: null,
+    };
+  }, storage);
+  return [...joined, ...newer];
+}
+
+export function recordSyncError(err, storage) {
+  return updateSyncState(
+    (s) => ({
+      ...s,
+      lastError: {
+        reason: err?.reason || 'server',
+        message: err?.message || 'Sync failed.',
+        at: Date.now(),
+      },
+    }),
+    storage
+  );
+}
@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createSyncServer } from '../server/mock-sync-server';
+import { defaultStore } from './storage';
+import {
+  applyRecords,
+  itemKey,
+  joinRecords,
+  queueChanges,
+  syncRound,
+} from './sync';
+import { createRestAdapter } from './syncAdapters';
+import { makeItemsForDate } from './templates';
+
+// Each test gets an empty server/mock-sync-server.js of its own, in this
+// process, on a port the system picks
+let server;
+let endpoint;
+
+beforeEach(
+  () =>
+    new Promise((resolve, reject) => {
+      server = createSyncServer();
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+
+afterEach(
+  () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+);
+
+// Just enough of fetch() for the REST adapter; jest's node has none
+function httpFetch(url, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => {
+        raw += chunk;
+      });
+      res.on('end', () =>
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          json: async () => JSON.parse(raw),
+        })
+      );
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const adapter = () => createRestAdapter({ endpoint }, httpFetch);
+
+// The sync state of one device, in memory instead of localStorage
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+function device(store) {
+  const storage = memoryStorage();
+  storage.setItem(
+    'daily-activities-tracker:v2:remote',
+    JSON.stringify({ endpoint, token: '' })
+  );
+  return { store, storage };
+}
+
+async function round(dev) {
+  const records = await syncRound(adapter(), dev.store, dev.storage);
+  dev.store = applyRecords(dev.store, records);
+  return records;
+}
+
+const day = '2024-05-15';
+
+function withDay(store, items) {
+  return { ...store, days: { ...store.days, [day]: items } };
+}
+
+test('a second device joins without doubling its routine', async () => {
+  const a = defaultStore();
+  const aItems = makeItemsForDate(a, day);
+  const first = device(
+    withDay(a, [
+      ...aItems,
+      { ...aItems[0], id: 'own', text: 'Call mom', fromTemplate: false },
+    ])
+  );
+  await round(first);
+
+  const b = defaultStore();
+  const second = device(withDay(b, makeItemsForDate(b, day)));
+  await round(second);
+
+  // The first device's day wins, its settings and routines too
+  const texts = second.store.days[day].map((it) => it.text);
+  expect(texts).toHaveLength(aItems.length + 1);
+  expect(texts).toContain('Call mom');
+  expect(second.store.routines).toEqual(first.store.routines);
+
+  // Days only the joining device has are uploaded
+  const only = device(withDay(defaultStore(), []));
+  only.store.days['2024-05-10'] = [
+    { ...aItems[0], id: 'old', text: 'Backfilled', fromTemplate: false },
+  ];
+  await round(only);
+  await round(first);
+  expect(first.store.days['2024-05-10'].map((it) => it.text)).toEqual([
+    'Backfilled',
+  ]);
+});
+
+test('joinRecords keeps items of days the server does not know', () => {
+  const store = withDay(defaultStore(), makeItemsForDate(defaultStore(), day));
+  const { apply, upload } = joinRecords(store, [
+    { key: itemKey('2024-05-01', 'x'), at: 1, value: { text: 'Run' } },
+  ]);
+  expect(apply).toHaveLength(1);
+  expect(
+    upload.some((r) => r.key === itemKey(day, store.days[day][0].id))
+  ).toBe(true);
+});
+
+test('bad store records from the server are normalized or dropped', async () => {
+  const dev = device(withDay(defaultStore(), []));
+  await round(dev);
+  const { routines, settings } = dev.store;
+
+  await adapter().push([
+    { key: 'store/buckets', at: Date.now(), value: [{ id: 'x' }, 7] },
+    { key: 'store/routines', at: Date.now(), value: 'nope' },
+    { key: 'store/settings', at: Date.now(), value: { carryOver: true } },
+    { key: 'store/goals', at: Date.now(), value: [{ activity: '' }] },
+    { key: itemKey(day, 'y'), at: Date.now(), value: { text: '  ' } },
+  ]);
+  await round(dev);
+
+  expect(dev.store.buckets).toEqual([
+    { id: 'x', label: 'Untitled', start: 9, end: 10 },
+  ]);
+  // Kept their own, with template entries moved into the one bucket
+  expect(dev.store.routines.map((r) => r.id)).toEqual(
+    routines.map((r) => r.id)
+  );
+  expect(Object.keys(dev.store.routines[0].templates)).toContain('x');
+  expect(dev.store.settings).toMatchObject({
+    carryOver: true,
+    routineByWeekday: settings.routineByWeekday,
+  });
+  expect(dev.store.goals).toEqual([]);
+  expect(dev.store.days[day].map((it) => it.id)).not.toContain('y');
+});
+
+test('applyRecords takes store records in any order', () => {
+  const store = defaultStore();
+  const routine = { id: 'r2', name: 'Weekend', templates: { late: [] } };
+  const next = applyRecords(store, [
+    {
+      key: 'store/settings',
+      at: 2,
+      value: { ...store.settings, routineByWeekday: Array(7).fill('r2') },
+    },
+    { key: 'store/routines', at: 1, value: [routine] },
+    { key: 'store/buckets', at: 1, value: [{ id: 'late', label: 'Late' }] },
+  ]);
+  expect(next.routines).toEqual([routine]);
+  expect(next.settings.routineByWeekday).toEqual(Array(7).fill('r2'));
+  expect(next.buckets.map((b) => b.label)).toEqual(['Late']);
+});
+
+test('queueChanges writes only when the queue changes', () => {
+  const storage = memoryStorage();
+  const setItem = jest.spyOn(storage, 'setItem');
+  const record = { key: itemKey(day, 'a'), at: 5, value: { text: 'Run' } };
+  expect(queueChanges([record], storage)).toBe(false);
+  expect(setItem).not.toHaveBeenCalled();
+
+  const dev = device(defaultStore());
+  const write = jest.spyOn(dev.storage, 'setItem');
+  expect(queueChanges([record], dev.storage)).toBe(true);
+  expect(queueChanges([record], dev.storage)).toBe(false);
+  expect(queueChanges([{ ...record, at: 4 }], dev.storage)).toBe(false);
+  expect(write).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,64 @@
+// Remote sync adapters (see sync.js for what gets synced and when).
+// An adapter has two async methods:
+// - push(records)  -> resolves once the server has stored them
+// - pull(cursor)   -> { records, cursor }: what changed since `cursor`
+//                     (null = everything) and the cursor to ask with next
+// A record is { key, at, value }. The server keeps the newest record per
+// key by `at` and hands out records in the order it stored them.
+//
+// Failures reject with an Error whose `reason` is 'offline', 'auth' or
+// 'server'; nothing is lost either way, the queue is simply kept.
+
+function syncError(reason, message) {
+  const err = new Error(message);
+  err.reason = reason;
+  return err;
+}
+
+// Reference implementation for a small REST server
+// (server/mock-sync-server.js implements the other side):
+// - GET  {endpoint}/changes?since=<cursor>  -> { records, cursor }
+// - POST {endpoint}/changes  { records }    -> 2xx
+// `token`, when set, is sent as "Authorization: Bearer <token>".
+export function createRestAdapter({ endpoint, token }, fetchImpl = fetch) {
+  const base = String(endpoint || '').replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+
+  async function request(path, init) {
+    let res;
+    try {
+      res = await fetchImpl(`${base}${path}`, { ...init, headers });
+    } catch {
+      throw syncError('offline', 'The sync server could not be reached.');
+    }
+    if (res.status === 401 || res.status === 403) {
+      throw syncError('auth', 'The sync server did not accept the token.');
+    }
+    if (!res.ok) {
+      throw syncError('server', `The sync server answered ${res.status}.`);
+    }
+    return res.status === 204 ? null : res.json().catch(() => null);
+  }
+
+  return {
+    name: 'rest',
+    async push(records) {
+      await request('/changes', {
+        method: 'POST',
+        body: JSON.stringify({ records }),
+      });
+    },
+    async pull(cursor) {
+      const query =
+        cursor == null ? '' : `?since=${encodeURIComponent(cursor)}`;
+      const body = await request(`/changes${query}`, { method: 'GET' });
+      if (!body || !Array.isArray(body.records)) {
+        throw syncError('server', 'The sync server sent an unexpected reply.');
+      }
+      return { records: body.records, cursor: body.cursor ?? cursor };
+    },
+  };
+}
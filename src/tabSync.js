@@ -0,0 +1,176 @@
+import { mergeEvents } from './activityLog';
+import { SCHEMA_VERSION, STORAGE_KEY } from './storage';
+import { safeJSONParse } from './utils';
+
+// Keeps the store in step between tabs of the same browser.
+// Every tab holds the whole store in memory and saves all of it, so without
+// this the last tab to save wins. Instead each tab sends what it changed as
+// a patch and merges the patches of the others:
+// - days: per day, the items added or changed ({ upsert }) and the ids of
+//   items deleted ({ remove }); null when the whole day went away
+// - logs: per day, the events the other side does not have yet
+// - settings: the settings that changed, last writer wins per setting
+// - buckets / routines / goals / goalResults: the new value, last writer wins
+// An item deleted in one tab while another edits it ends up deleted in both.
+// Patches travel over a BroadcastChannel, or through a localStorage key
+// (and the `storage` event of the other tabs) where that is missing.
+
+const CHANNEL = 'daily-activities-tracker';
+const SYNC_KEY = `${STORAGE_KEY}:sync`;
+const WHOLE_FIELDS = ['buckets', 'routines', 'goals', 'goalResults'];
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Item-level changes from one version of a day to another
+export function dayChanges(before = [], after = []) {
+  const old = new Map((before || []).map((it) => [it.id, it]));
+  const upsert = [];
+  for (const it of after || []) {
+    const prev = old.get(it.id);
+    old.delete(it.id);
+    if (!prev || !same(prev, it)) upsert.push(it);
+  }
+  return { upsert, remove: [...old.keys()] };
+}
+
+// Changed items replace ours in place, new ones go last
+export function applyDayChanges(items = [], { upsert = [], remove = [] }) {
+  const gone = new Set(remove);
+  const incoming = new Map(upsert.map((it) => [it.id, it]));
+  const out = [];
+  for (const it of items || []) {
+    if (gone.has(it.id)) continue;
+    out.push(incoming.get(it.id) || it);
+    incoming.delete(it.id);
+  }
+  return [...out, ...incoming.values()];
+}
+
+// Upserts of items whose latest added/deleted event in `events` is the
+// deletion are dropped, so an edit arriving after a delete cannot bring the
+// item back. Undoing a delete logs it as added again.
+export function withoutDeleted(changes, events = []) {
+  const last = new Map();
+  for (const e of events || []) {
+    if (e.type === 'added' || e.type === 'deleted') last.set(e.itemId, e.type);
+  }
+  const upsert = changes.upsert.filter((it) => last.get(it.id) !== 'deleted');
+  return upsert.length === changes.upsert.length
+    ? changes
+    : { ...changes, upsert };
+}
+
+function settingsChanges(before = {}, after = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(after)) {
+    if (!same(before[k], v)) out[k] = v;
+  }
+  return out;
+}
+
+// What changed between two stores; null when nothing did
+export function storePatch(before, after) {
+  if (before === after) return null;
+  const patch = {};
+  const settings = settingsChanges(before.settings, after.settings);
+  if (Object.keys(settings).length > 0) patch.settings = settings;
+  for (const field of WHOLE_FIELDS) {
+    if (!same(before[field], after[field])) patch[field] = after[field];
+  }
+
+  const days = {};
+  for (const [k, list] of Object.entries(after.days || {})) {
+    if (before.days?.[k] === list) continue;
+    const changes = dayChanges(before.days?.[k], list);
+    if (changes.upsert.length > 0 || changes.remove.length > 0) {
+      days[k] = changes;
+    }
+  }
+  const logs = {};
+  for (const [k, list] of Object.entries(after.logs || {})) {
+    if (before.logs?.[k] === list) continue;
+    const known = new Set((before.logs?.[k] || []).map((e) => e.id));
+    const added = list.filter((e) => !known.has(e.id));
+    if (added.length > 0) logs[k] = added;
+  }
+  // Days pruned or cleared on that side
+  for (const k of Object.keys(before.days || {})) {
+    if (!(k in (after.days || {}))) days[k] = null;
+  }
+  for (const k of Object.keys(before.logs || {})) {
+    if (!(k in (after.logs || {}))) logs[k] = null;
+  }
+  if (Object.keys(days).length > 0) patch.days = days;
+  if (Object.keys(logs).length > 0) patch.logs = logs;
+  return Object.keys(patch).length > 0 ? patch : null;
+}
+
+export function applyPatch(store, patch) {
+  const next = { ...store };
+  if (patch.settings) next.settings = { ...store.settings, ...patch.settings };
+  for (const field of WHOLE_FIELDS) {
+    if (field in patch) next[field] = patch[field];
+  }
+  // Logs first: the merged log tells which items were deleted on either side
+  if (patch.logs) {
+    next.logs = { ...(store.logs || {}) };
+    for (const [k, events] of Object.entries(patch.logs)) {
+      if (events) next.logs[k] = mergeEvents(next.logs[k], events);
+      else delete next.logs[k];
+    }
+  }
+  if (patch.days) {
+    next.days = { ...(store.days || {}) };
+    for (const [k, changes] of Object.entries(patch.days)) {
+      if (!changes) delete next.days[k];
+      else {
+        next.days[k] = applyDayChanges(
+          next.days[k],
+          withoutDeleted(changes, next.logs?.[k])
+        );
+      }
+    }
+  }
+  return next;
+}
+
+// Calls `onPatch` with the patches other tabs publish. Returns
+// { publish(patch), close() }. Tabs on another schema version are ignored.
+export function openTabSync(onPatch) {
+  const receive = (msg) => {
+    if (msg?.version === SCHEMA_VERSION && msg.patch) onPatch(msg.patch);
+  };
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = (e) => receive(e.data);
+    return {
+      publish: (patch) =>
+        channel.postMessage({ version: SCHEMA_VERSION, patch }),
+      close: () => channel.close(),
+    };
+  }
+
+  // The storage event fires in every other tab; the key is removed right
+  // away, so it never holds more than one patch
+  function onStorage(e) {
+    if (e.key === SYNC_KEY && e.newValue) receive(safeJSONParse(e.newValue));
+  }
+  window.addEventListener('storage', onStorage);
+  return {
+    publish(patch) {
+      try {
+        window.localStorage.setItem(
+          SYNC_KEY,
+          JSON.stringify({ version: SCHEMA_VERSION, patch, at: Date.now() })
+        );
+        window.localStorage.removeItem(SYNC_KEY);
+      } catch {
+        // nowhere to send it; the other tabs pick it up on their next load
+      }
+    },
+    close: () => window.removeEventListener('storage', onStorage),
+  };
+}
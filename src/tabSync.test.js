@@ -0,0 +1,121 @@
+import { appendEvents, diffEvents } from './activityLog';
+import { defaultStore } from './storage';
+import { applyPatch, storePatch } from './tabSync';
+
+const DAY = '2024-05-15';
+const run = { id: 'run', text: 'Run', bucket: 'morning', done: false };
+const read = { id: 'read', text: 'Read', bucket: 'evening', done: false };
+
+function base() {
+  return {
+    ...defaultStore(),
+    days: { [DAY]: [run, read] },
+    logs: {},
+  };
+}
+
+// An edit of one day in one tab, logged the way the app does it
+function edit(store, fn, at) {
+  const before = store.days[DAY];
+  const after = fn(before);
+  return {
+    ...store,
+    days: { ...store.days, [DAY]: after },
+    logs: appendEvents(store.logs, DAY, diffEvents(before, after, at)),
+  };
+}
+
+// Both tabs start from `start`, change it, and receive the other's patch
+function exchange(start, a, b) {
+  const patchA = storePatch(start, a);
+  const patchB = storePatch(start, b);
+  return [applyPatch(a, patchB), applyPatch(b, patchA)];
+}
+
+test('edits of different items in two tabs both land', () => {
+  const start = base();
+  const a = edit(start, (l) =>
+    l.map((it) => (it.id === 'run' ? { ...it, done: true } : it))
+  );
+  const b = edit(start, (l) =>
+    l.map((it) => (it.id === 'read' ? { ...it, text: 'Read 20 pages' } : it))
+  );
+  const [inA, inB] = exchange(start, a, b);
+  expect(inA.days[DAY]).toEqual(inB.days[DAY]);
+  expect(inA.days[DAY]).toEqual([
+    { ...run, done: true },
+    { ...read, text: 'Read 20 pages' },
+  ]);
+  expect(inA.logs[DAY].map((e) => e.type).sort()).toEqual([
+    'completed',
+    'edited',
+  ]);
+});
+
+test('the same item edited in one tab and then the other ends up alike', () => {
+  const start = base();
+  const a = edit(start, (l) =>
+    l.map((it) => (it.id === 'run' ? { ...it, text: 'Run 5k' } : it))
+  );
+  const b = applyPatch(start, storePatch(start, a));
+  expect(b.days[DAY][0].text).toBe('Run 5k');
+  const b2 = edit(b, (l) =>
+    l.map((it) => (it.id === 'run' ? { ...it, done: true } : it))
+  );
+  const a2 = applyPatch(a, storePatch(b, b2));
+  expect(a2.days[DAY]).toEqual(b2.days[DAY]);
+  expect(a2.days[DAY][0]).toEqual({ ...run, text: 'Run 5k', done: true });
+});
+
+test('an item deleted in one tab while the other edits it stays deleted', () => {
+  const start = base();
+  const a = edit(start, (l) => l.filter((it) => it.id !== 'run'), 1000);
+  // The edit is the later change, and still does not bring it back
+  const b = edit(
+    start,
+    (l) => l.map((it) => (it.id === 'run' ? { ...it, done: true } : it)),
+    2000
+  );
+  const [inA, inB] = exchange(start, a, b);
+  expect(inA.days[DAY]).toEqual([read]);
+  expect(inB.days[DAY]).toEqual([read]);
+});
+
+test('an undone delete brings the item back in the other tab', () => {
+  const start = base();
+  const deleted = edit(start, (l) => l.filter((it) => it.id !== 'run'), 1000);
+  const other = applyPatch(start, storePatch(start, deleted));
+  expect(other.days[DAY]).toEqual([read]);
+  const undone = edit(deleted, () => [run, read], 2000);
+  const back = applyPatch(other, storePatch(deleted, undone));
+  expect(back.days[DAY].map((it) => it.id).sort()).toEqual(['read', 'run']);
+});
+
+test('a pruned day goes away, and a day the tab never had is fine', () => {
+  const start = { ...base(), logs: { [DAY]: [] } };
+  const pruned = { ...start, days: {}, logs: {} };
+  const patch = storePatch(start, pruned);
+  expect(patch).toEqual({ days: { [DAY]: null }, logs: { [DAY]: null } });
+  const other = applyPatch(start, patch);
+  expect(other.days).toEqual({});
+  expect(other.logs).toEqual({});
+  expect(applyPatch({ ...start, days: {}, logs: {} }, patch).days).toEqual({});
+});
+
+test('settings changed in two tabs merge per setting', () => {
+  const start = base();
+  const a = { ...start, settings: { ...start.settings, carryOver: true } };
+  const b = { ...start, settings: { ...start.settings, reminders: true } };
+  expect(storePatch(start, a)).toEqual({ settings: { carryOver: true } });
+  const [inA, inB] = exchange(start, a, b);
+  expect(inA.settings).toEqual(inB.settings);
+  expect(inA.settings).toMatchObject({ carryOver: true, reminders: true });
+});
+
+test('whole fields take the last version received', () => {
+  const start = base();
+  const a = { ...start, goals: [{ id: 'g1', activity: 'Gym' }] };
+  const b = applyPatch(start, storePatch(start, a));
+  expect(b.goals).toEqual(a.goals);
+  expect(storePatch(a, b)).toBeNull();
+});
@@ -0,0 +1,94 @@
+// Tags on day items and template entries: `tags` is a list of lowercase
+// names without the '#'. They are typed inline ("Run 5k #health #outdoor")
+// and pulled out of the text when an item or entry is saved.
+
+const TAG_IN_TEXT = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+export function normalizeTag(t) {
+  return String(t || '')
+    .trim()
+    .replace(/^#/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+export function normalizeTags(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+// The field to spread into a normalized item/entry; empty when untagged
+export function tagFields(x) {
+  const tags = normalizeTags(x?.tags);
+  return tags.length > 0 ? { tags } : {};
+}
+
+// "Run 5k #health" -> { text: 'Run 5k', tags: ['health'] }
+export function extractTags(input, existing = []) {
+  const found = [];
+  const text = String(input || '')
+    .replace(TAG_IN_TEXT, (m, lead, tag) => {
+      found.push(tag);
+      return lead;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { text, tags: normalizeTags([...existing, ...found]) };
+}
+
+// Text plus its tags, for editing in one field
+export function withTagText(x) {
+  return [x.text, ...(x.tags || []).map((t) => `#${t}`)].join(' ');
+}
+
+export function hasAnyTag(item, tags) {
+  return tags.length === 0 || tags.some((t) => item.tags?.includes(t));
+}
+
+// Every tag in use across days and routines, sorted
+export function allTags(store) {
+  const set = new Set();
+  for (const list of Object.values(store.days || {})) {
+    for (const it of list || []) for (const t of it.tags || []) set.add(t);
+  }
+  for (const r of store.routines || []) {
+    for (const list of Object.values(r.templates || {})) {
+      for (const t of list || []) for (const tag of t.tags || []) set.add(tag);
+    }
+  }
+  return [...set].sort();
+}
+
+function matchesQuery(item, q) {
+  if (!q) return true;
+  const hay = [
+    item.text,
+    item.notes || '',
+    ...(item.subtasks || []).map((s) => s.text),
+    ...(item.tags || []).map((t) => `#${t}`),
+  ]
+    .join('\n')
+    .toLowerCase();
+  return q
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => hay.includes(word));
+}
+
+// Items across all stored days matching every word of `query` (in the text,
+// notes, subtasks or tags) and any of `tags`: [{ dateKey, item }], newest
+// day first
+export function searchDays(days, query, tags = []) {
+  const out = [];
+  const keys = Object.keys(days || {}).sort((a, b) => (a < b ? 1 : -1));
+  for (const dateKey of keys) {
+    const list = Array.isArray(days[dateKey]) ? days[dateKey] : [];
+    for (const item of list) {
+      if (hasAnyTag(item, tags) && matchesQuery(item, query.trim())) {
+        out.push({ dateKey, item });
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,77 @@
+import {
+  allTags,
+  extractTags,
+  hasAnyTag,
+  normalizeTags,
+  searchDays,
+  tagFields,
+  withTagText,
+} from './tags';
+
+test('tags are lowercase, without the # and without duplicates', () => {
+  expect(
+    normalizeTags(['#Health', 'health', ' Out-door ', 'a b!', '', null])
+  ).toEqual(['health', 'out-door', 'ab']);
+  expect(normalizeTags('health')).toEqual([]);
+  expect(tagFields({ tags: ['#'] })).toEqual({});
+  expect(tagFields({ tags: ['Café'] })).toEqual({ tags: ['café'] });
+});
+
+test('extractTags pulls tags out of the text', () => {
+  expect(extractTags('Run 5k #Health  #outdoor')).toEqual({
+    text: 'Run 5k',
+    tags: ['health', 'outdoor'],
+  });
+  // Only words that start with #
+  expect(extractTags('Issue#12 for C# #work', ['home'])).toEqual({
+    text: 'Issue#12 for C#',
+    tags: ['home', 'work'],
+  });
+  expect(extractTags('#solo')).toEqual({ text: '', tags: ['solo'] });
+});
+
+test('withTagText round-trips through extractTags', () => {
+  const item = { text: 'Run 5k', tags: ['health', 'outdoor'] };
+  expect(withTagText(item)).toBe('Run 5k #health #outdoor');
+  expect(extractTags(withTagText(item))).toEqual(item);
+  expect(withTagText({ text: 'Plain' })).toBe('Plain');
+});
+
+test('hasAnyTag matches any tag, and everything when none are picked', () => {
+  const item = { tags: ['health'] };
+  expect(hasAnyTag(item, [])).toBe(true);
+  expect(hasAnyTag(item, ['work', 'health'])).toBe(true);
+  expect(hasAnyTag({}, ['work'])).toBe(false);
+});
+
+const days = {
+  '2024-05-13': [
+    { id: 'a', text: 'Run 5k', tags: ['health'] },
+    {
+      id: 'b',
+      text: 'Groceries',
+      notes: 'Oat milk',
+      subtasks: [{ text: 'Eggs' }],
+    },
+  ],
+  '2024-05-14': [{ id: 'c', text: 'Run intervals', tags: ['health', 'track'] }],
+  '2024-05-15': 'broken',
+};
+
+test('allTags collects tags from days and routines', () => {
+  const routines = [
+    { templates: { morning: [{ text: 'Stretch', tags: ['mobility'] }] } },
+  ];
+  expect(allTags({ days, routines })).toEqual(['health', 'mobility', 'track']);
+});
+
+test('searchDays matches every word, newest day first', () => {
+  const found = (query, tags) =>
+    searchDays(days, query, tags).map((r) => `${r.dateKey}/${r.item.id}`);
+  expect(found('run')).toEqual(['2024-05-14/c', '2024-05-13/a']);
+  expect(found('RUN 5k')).toEqual(['2024-05-13/a']);
+  expect(found('oat eggs')).toEqual(['2024-05-13/b']);
+  expect(found('#track')).toEqual(['2024-05-14/c']);
+  expect(found('  ', ['track', 'nope'])).toEqual(['2024-05-14/c']);
+  expect(found('groceries', ['health'])).toEqual([]);
+});
@@ -0,0 +1,206 @@
+import { measureDefinition, startMeasure } from './measures';
+import { scheduleFields } from './schedule';
+import { detailDefinition, startDetails } from './subtasks';
+import { tagFields } from './tags';
+import { keyToDate, uid } from './utils';
+
+// Template entries and their recurrence rules.
+// An entry is { id, text, repeat, time?, duration?, kind?, target?, unit?,
+// notes?, subtasks?, tags? } (see measures.js, subtasks.js and tags.js) where
+// repeat is one of:
+// - { type: 'daily' }
+// - { type: 'weekdays', days: [0..6] }          (0 = Sunday, like Date#getDay)
+// - { type: 'interval', every: N, start: 'YYYY-MM-DD' }
+// - { type: 'monthday', day: 1..31 }            (clamped to short months)
+//
+// Entries are grouped per bucket into named routines ("Workday", "Weekend"),
+// and settings.routineByWeekday picks the routine that fills a new day.
+
+export const REPEAT_TYPES = [
+  { id: 'daily', label: 'Every day' },
+  { id: 'weekdays', label: 'On weekdays…' },
+  { id: 'interval', label: 'Every N days' },
+  { id: 'monthday', label: 'Day of month' },
+];
+
+// Monday-first, for pickers
+export const WEEKDAY_OPTIONS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 0, label: 'Sun' },
+];
+
+const DAILY = { type: 'daily' };
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export function normalizeRepeat(repeat) {
+  if (!repeat || typeof repeat !== 'object') return DAILY;
+  switch (repeat.type) {
+    case 'weekdays': {
+      const days = [...new Set((repeat.days || []).map(Number))]
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort();
+      return days.length === 0 ? DAILY : { type: 'weekdays', days };
+    }
+    case 'interval':
+      return /^\d{4}-\d{2}-\d{2}$/.test(repeat.start || '')
+        ? {
+            type: 'interval',
+            every: clampInt(repeat.every, 1, 365, 1),
+            start: repeat.start,
+          }
+        : DAILY;
+    case 'monthday':
+      return { type: 'monthday', day: clampInt(repeat.day, 1, 31, 1) };
+    default:
+      return DAILY;
+  }
+}
+
+// `schedule` may carry an optional { time, duration }, `measure` an optional
+// { kind, target, unit }
+export function makeTemplate(text, repeat = DAILY, schedule, measure) {
+  return {
+    id: uid(),
+    text,
+    repeat: normalizeRepeat(repeat),
+    ...scheduleFields(schedule),
+    ...measureDefinition(measure),
+  };
+}
+
+// Accepts legacy plain strings as well as entry objects; null if unusable
+export function normalizeTemplateEntry(t) {
+  if (typeof t === 'string') {
+    const text = t.trim();
+    return text ? makeTemplate(text) : null;
+  }
+  if (!t || typeof t !== 'object') return null;
+  const text = String(t.text || '').trim();
+  if (!text) return null;
+  const { time, duration, kind, target, unit, notes, subtasks, tags, ...rest } =
+    t;
+  return {
+    ...rest,
+    id: t.id || uid(),
+    text,
+    repeat: normalizeRepeat(t.repeat),
+    ...scheduleFields(t),
+    ...measureDefinition(t),
+    ...detailDefinition(t),
+    ...tagFields(t),
+  };
+}
+
+function daysBetween(fromKey, toKey) {
+  // Round to absorb DST hour shifts
+  return Math.round((keyToDate(toKey) - keyToDate(fromKey)) / 86_400_000);
+}
+
+export function occursOn(repeat, dateKey) {
+  const r = normalizeRepeat(repeat);
+  switch (r.type) {
+    case 'weekdays':
+      return r.days.includes(keyToDate(dateKey).getDay());
+    case 'interval': {
+      const diff = daysBetween(r.start, dateKey);
+      return diff >= 0 && diff % r.every === 0;
+    }
+    case 'monthday': {
+      const d = keyToDate(dateKey);
+      const last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+      return d.getDate() === Math.min(r.day, last);
+    }
+    default:
+      return true;
+  }
+}
+
+export function describeRepeat(repeat) {
+  const r = normalizeRepeat(repeat);
+  switch (r.type) {
+    case 'weekdays':
+      return WEEKDAY_OPTIONS.filter((o) => r.days.includes(o.day))
+        .map((o) => o.label)
+        .join('/');
+    case 'interval':
+      return r.every === 1
+        ? `Every day from ${r.start}`
+        : `Every ${r.every} days from ${r.start}`;
+    case 'monthday':
+      return `Day ${r.day} of each month`;
+    default:
+      return 'Every day';
+  }
+}
+
+// Entry lists keyed by bucket id; buckets without entries may be missing
+export function emptyTemplates() {
+  return {};
+}
+
+export function makeRoutine(name, templates = emptyTemplates()) {
+  return { id: uid(), name, templates };
+}
+
+// routineByWeekday is indexed by Date#getDay(); falls back to the first routine
+export function routineForDate(store, dateKey) {
+  const routines = store.routines || [];
+  const id = store.settings?.routineByWeekday?.[keyToDate(dateKey).getDay()];
+  return routines.find((r) => r.id === id) || routines[0] || null;
+}
+
+export function makeItemsFromTemplates(templates, dateKey, routineId) {
+  const now = Date.now();
+  const items = [];
+  for (const [bucket, list] of Object.entries(templates || {})) {
+    if (!Array.isArray(list)) continue;
+    for (const raw of list) {
+      const t = normalizeTemplateEntry(raw);
+      if (!t || !occursOn(t.repeat, dateKey)) continue;
+      items.push({
+        id: uid(),
+        text: t.text,
+        bucket,
+        done: false,
+        createdAt: now,
+        fromTemplate: true,
+        ...scheduleFields(t),
+        ...startMeasure(t),
+        ...startDetails(t),
+        ...tagFields(t),
+        ...(routineId ? { routineId } : {}),
+      });
+    }
+  }
+  return items;
+}
+
+export function makeItemsForDate(store, dateKey) {
+  const routine = routineForDate(store, dateKey);
+  return routine
+    ? makeItemsFromTemplates(routine.templates, dateKey, routine.id)
+    : [];
+}
+
+// Swaps a day's template items for another routine's, keeping manual items
+export function reseedItems(items, routine, dateKey) {
+  return [
+    ...makeItemsFromTemplates(routine.templates, dateKey, routine.id),
+    ...items.filter((it) => !it.fromTemplate),
+  ];
+}
+
+// The routine a day was filled from, if its template items say so
+export function routineOfItems(items) {
+  return items.find((it) => it.fromTemplate && it.routineId)?.routineId || null;
+}
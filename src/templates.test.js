@@ -0,0 +1,125 @@
+import {
+  describeRepeat,
+  makeItemsFromTemplates,
+  normalizeRepeat,
+  normalizeTemplateEntry,
+  occursOn,
+  reseedItems,
+  routineForDate,
+  routineOfItems,
+} from './templates';
+
+// 2024-05-13 is a Monday
+describe('occursOn', () => {
+  test('daily and weekday rules', () => {
+    expect(occursOn({ type: 'daily' }, '2024-05-13')).toBe(true);
+    const weekend = { type: 'weekdays', days: [6, 0] };
+    expect(occursOn(weekend, '2024-05-18')).toBe(true);
+    expect(occursOn(weekend, '2024-05-19')).toBe(true);
+    expect(occursOn(weekend, '2024-05-20')).toBe(false);
+  });
+
+  test('intervals count from their start and not before it', () => {
+    const fortnightly = { type: 'interval', every: 14, start: '2024-05-13' };
+    expect(occursOn(fortnightly, '2024-05-12')).toBe(false);
+    expect(occursOn(fortnightly, '2024-05-13')).toBe(true);
+    expect(occursOn(fortnightly, '2024-05-20')).toBe(false);
+    expect(occursOn(fortnightly, '2024-05-27')).toBe(true);
+    // Across the clock changes, in zones that have them
+    const weekly = { type: 'interval', every: 7, start: '2024-03-25' };
+    expect(occursOn(weekly, '2024-03-18')).toBe(false);
+    expect(occursOn(weekly, '2024-11-04')).toBe(true);
+  });
+
+  test('a day of the month past the end lands on the last day', () => {
+    const last = { type: 'monthday', day: 31 };
+    expect(occursOn(last, '2024-01-31')).toBe(true);
+    expect(occursOn(last, '2024-02-29')).toBe(true);
+    expect(occursOn(last, '2024-02-28')).toBe(false);
+    expect(occursOn(last, '2023-02-28')).toBe(true);
+    expect(occursOn(last, '2024-04-30')).toBe(true);
+    expect(occursOn({ type: 'monthday', day: 15 }, '2024-05-15')).toBe(true);
+    expect(occursOn({ type: 'monthday', day: 15 }, '2024-05-16')).toBe(false);
+  });
+
+  test('unusable rules fall back to every day', () => {
+    expect(normalizeRepeat({ type: 'weekdays', days: [9, 'x'] })).toEqual({
+      type: 'daily',
+    });
+    expect(normalizeRepeat({ type: 'interval', every: 3 })).toEqual({
+      type: 'daily',
+    });
+    expect(
+      normalizeRepeat({ type: 'interval', every: 0, start: '2024-05-13' })
+    ).toEqual({ type: 'interval', every: 1, start: '2024-05-13' });
+    expect(occursOn(null, '2024-05-13')).toBe(true);
+    expect(occursOn({ type: 'weekly' }, '2024-05-13')).toBe(true);
+  });
+});
+
+test('describeRepeat reads Monday first', () => {
+  expect(describeRepeat({ type: 'weekdays', days: [0, 1, 3] })).toBe(
+    'Mon/Wed/Sun'
+  );
+  expect(
+    describeRepeat({ type: 'interval', every: 2, start: '2024-05-13' })
+  ).toBe('Every 2 days from 2024-05-13');
+  expect(describeRepeat({ type: 'monthday', day: 31 })).toBe(
+    'Day 31 of each month'
+  );
+});
+
+test('normalizeTemplateEntry accepts legacy strings and drops blanks', () => {
+  expect(normalizeTemplateEntry('  Stretch ')).toMatchObject({
+    text: 'Stretch',
+    repeat: { type: 'daily' },
+  });
+  expect(normalizeTemplateEntry('  ')).toBeNull();
+  expect(normalizeTemplateEntry({ text: '' })).toBeNull();
+});
+
+test('a day gets the entries that occur on it, from its routine', () => {
+  const templates = {
+    morning: [
+      { id: 't1', text: 'Run', repeat: { type: 'weekdays', days: [1] } },
+      { id: 't2', text: 'Water', kind: 'count', target: 8 },
+    ],
+    evening: 'not a list',
+  };
+  const items = makeItemsFromTemplates(templates, '2024-05-14', 'r1');
+  expect(items).toEqual([
+    expect.objectContaining({
+      text: 'Water',
+      bucket: 'morning',
+      done: false,
+      fromTemplate: true,
+      kind: 'count',
+      count: 0,
+      routineId: 'r1',
+    }),
+  ]);
+  expect(routineOfItems(items)).toBe('r1');
+
+  const manual = { id: 'm', text: 'Call mom', fromTemplate: false };
+  const reseeded = reseedItems(
+    [...items, manual],
+    { id: 'r2', templates },
+    '2024-05-13'
+  );
+  expect(reseeded.map((it) => it.text)).toEqual(['Run', 'Water', 'Call mom']);
+  expect(routineOfItems(reseeded)).toBe('r2');
+});
+
+test('routineForDate follows the weekday and falls back to the first', () => {
+  const store = {
+    routines: [{ id: 'work' }, { id: 'weekend' }],
+    settings: {
+      routineByWeekday: ['weekend', 'work', 'work', 'work', 'work', 'work'],
+    },
+  };
+  expect(routineForDate(store, '2024-05-19').id).toBe('weekend');
+  expect(routineForDate(store, '2024-05-13').id).toBe('work');
+  // Saturday has no entry
+  expect(routineForDate(store, '2024-05-18').id).toBe('work');
+  expect(routineForDate({ routines: [] }, '2024-05-18')).toBeNull();
+});
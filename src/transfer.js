@@ -0,0 +1,162 @@
+import { mergeEvents } from './activityLog';
+import {
+  migrateStore,
+  normalizeDayItems,
+  pruneHistory,
+  validateStore,
+} from './storage';
+import { safeJSONParse } from './utils';
+
+// JSON backup of the whole store (settings + routines + days), and an
+// import that is previewed day by day before it touches anything.
+
+export const EXPORT_APP = 'daily-activities-tracker';
+
+export function exportStore(store) {
+  return JSON.stringify(
+    { app: EXPORT_APP, exportedAt: new Date().toISOString(), ...store },
+    null,
+    2
+  );
+}
+
+// Runs the file through the same migration + normalization as a normal load.
+// Throws when the file is not a tracker export at all.
+export function parseImport(text) {
+  const parsed = safeJSONParse(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (parsed.app && parsed.app !== EXPORT_APP) {
+    throw new Error('This file was not exported from this tracker.');
+  }
+  const looksLikeStore =
+    parsed.days ||
+    parsed.routines ||
+    parsed.templates ||
+    (parsed.dateKey && parsed.items);
+  if (!looksLikeStore) {
+    throw new Error('This file has no routines or days to import.');
+  }
+  const { app, exportedAt, ...rest } = parsed;
+  return validateStore(migrateStore(rest));
+}
+
+// Every field counts (counters, times, order, notes, subtasks, tags, ...),
+// compared in normalized form so key order and defaults do not matter
+function sameItem(a, b) {
+  const [x, y] = normalizeDayItems([a, b]).map(({ id, ...rest }) =>
+    JSON.stringify(rest)
+  );
+  return x === y;
+}
+
+// Items are matched by id: unknown ids are added, known ids take the
+// imported version, and local-only items are kept.
+export function mergeDayItems(local, incoming) {
+  const byId = new Map(incoming.map((it) => [it.id, it]));
+  const merged = local.map((it) => byId.get(it.id) || it);
+  const localIds = new Set(local.map((it) => it.id));
+  for (const it of incoming) if (!localIds.has(it.id)) merged.push(it);
+  return merged;
+}
+
+// One row per imported day:
+// { dateKey, status: 'add' | 'same' | 'merge' | 'overwrite', added, changed, kept }
+// `mode` decides what happens to days that exist on both sides.
+export function planImport(current, incoming, mode = 'merge') {
+  const retentionDays = current.settings?.retentionDays;
+  const inWindow = pruneHistory(incoming.days, retentionDays);
+  const skipped = Object.keys(incoming.days || {}).filter(
+    (k) => !(k in inWindow)
+  );
+
+  const days = Object.keys(inWindow)
+    .sort((a, b) => (a < b ? 1 : -1))
+    .map((dateKey) => {
+      const theirs = inWindow[dateKey];
+      const ours = current.days?.[dateKey];
+      if (!ours) {
+        return { dateKey, status: 'add', added: theirs.length, changed: 0 };
+      }
+      const oursById = new Map(ours.map((it) => [it.id, it]));
+      let added = 0;
+      let changed = 0;
+      for (const it of theirs) {
+        const mine = oursById.get(it.id);
+        if (!mine) added++;
+        else if (!sameItem(mine, it)) changed++;
+      }
+      const theirIds = new Set(theirs.map((it) => it.id));
+      const kept = ours.filter((it) => !theirIds.has(it.id)).length;
+      if (added === 0 && changed === 0 && (mode === 'merge' || kept === 0)) {
+        return { dateKey, status: 'same', added, changed, kept };
+      }
+      return {
+        dateKey,
+        status: mode === 'overwrite' ? 'overwrite' : 'merge',
+        added,
+        changed,
+        kept,
+      };
+    });
+
+  return { mode, days, skipped };
+}
+
+// Buckets the file knows and we do not are added so no imported item or
+// template is orphaned, and so are goals and goal results. Each imported
+// day brings its activity log along. `routines` also replaces the routines
+// and which weekday uses which.
+export function applyImport(current, incoming, plan, { routines = false }) {
+  const days = { ...(current.days || {}) };
+  const logs = { ...(current.logs || {}) };
+  for (const row of plan.days) {
+    const theirs = incoming.days[row.dateKey];
+    const theirLog = incoming.logs?.[row.dateKey];
+    if (row.status === 'add' || row.status === 'overwrite') {
+      days[row.dateKey] = theirs;
+      if (theirLog) logs[row.dateKey] = theirLog;
+      else delete logs[row.dateKey];
+    } else if (row.status === 'merge') {
+      days[row.dateKey] = mergeDayItems(days[row.dateKey], theirs);
+      if (theirLog)
+        logs[row.dateKey] = mergeEvents(logs[row.dateKey], theirLog);
+    }
+  }
+  const known = new Set(current.buckets.map((b) => b.id));
+  const buckets = [
+    ...current.buckets,
+    ...incoming.buckets.filter((b) => !known.has(b.id)),
+  ];
+  const goalIds = new Set(current.goals.map((g) => g.id));
+  const goals = [
+    ...current.goals,
+    ...incoming.goals.filter((g) => !goalIds.has(g.id)),
+  ];
+  const archived = new Set(
+    current.goalResults.map((r) => `${r.goalId}/${r.start}`)
+  );
+  const goalResults = [
+    ...current.goalResults,
+    ...incoming.goalResults.filter(
+      (r) => !archived.has(`${r.goalId}/${r.start}`)
+    ),
+  ];
+  if (!routines) {
+    return { ...current, buckets, days, logs, goals, goalResults };
+  }
+  return {
+    ...current,
+    buckets,
+    goals,
+    goalResults,
+    settings: {
+      ...current.settings,
+      routineByWeekday: incoming.settings.routineByWeekday,
+    },
+    routines: incoming.routines,
+    days,
+    logs,
+  };
+}
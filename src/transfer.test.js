@@ -0,0 +1,135 @@
+import { defaultStore } from './storage';
+import { applyImport, planImport } from './transfer';
+
+const day = '2024-05-15';
+const base = {
+  id: 'a',
+  text: 'Read',
+  bucket: 'evening',
+  done: false,
+  createdAt: 1,
+  fromTemplate: false,
+};
+
+function storeWith(items) {
+  const s = defaultStore();
+  return {
+    ...s,
+    settings: { ...s.settings, retentionDays: null },
+    days: { [day]: items },
+  };
+}
+
+// The import of `theirs` over `ours`, one day, in merge mode
+function importDay(ours, theirs) {
+  const current = storeWith([ours]);
+  const incoming = storeWith([theirs]);
+  const plan = planImport(current, incoming);
+  return { row: plan.days[0], next: applyImport(current, incoming, plan, {}) };
+}
+
+test.each([
+  ['a counter', { kind: 'count', target: 8, count: 2 }, { count: 5 }],
+  ['a counter target', { kind: 'count', target: 8, count: 2 }, { target: 6 }],
+  ['a timer', { kind: 'timer', target: 10, spent: 60 }, { spent: 300 }],
+  ['the kind', {}, { kind: 'count', target: 3, count: 0 }],
+  ['a time', { time: '18:30' }, { time: '19:00' }],
+  ['a duration', { time: '18:30', duration: 30 }, { duration: 45 }],
+  ['the order', { order: 1 }, { order: 2 }],
+  ['notes', { notes: 'p. 10' }, { notes: 'p. 40' }],
+  [
+    'a subtask',
+    { subtasks: [{ id: 's', text: 'Ch. 1', done: false }] },
+    { subtasks: [{ id: 's', text: 'Ch. 1', done: true }] },
+  ],
+  ['tags', { tags: ['home'] }, { tags: ['home', 'calm'] }],
+])('an import that only changes %s is applied', (_, before, change) => {
+  const ours = { ...base, ...before };
+  const theirs = { ...ours, ...change };
+  const { row, next } = importDay(ours, theirs);
+  expect(row).toMatchObject({ status: 'merge', changed: 1, added: 0 });
+  expect(next.days[day][0]).toMatchObject(change);
+});
+
+test('an identical item is the same', () => {
+  const item = { ...base, kind: 'count', target: 8, count: 2, tags: ['x'] };
+  // Key order does not matter
+  const reordered = Object.fromEntries(Object.entries(item).reverse());
+  expect(importDay(item, reordered).row).toMatchObject({
+    status: 'same',
+    changed: 0,
+  });
+});
+
+describe('planImport and applyImport', () => {
+  const item = (id, text, extra) => ({ ...base, id, text, ...extra });
+  const ours = storeWith([item('a', 'Read'), item('b', 'Walk')]);
+  const theirs = {
+    ...storeWith([item('a', 'Read', { done: true }), item('c', 'Call')]),
+    buckets: [
+      ...ours.buckets,
+      { id: 'night', label: 'Night', start: 22, end: 24 },
+    ],
+  };
+  theirs.days['2024-05-10'] = [item('d', 'Old')];
+  theirs.logs = {
+    [day]: [{ id: 'e1', at: 5, type: 'completed', itemId: 'a', text: 'Read' }],
+  };
+
+  test('merge keeps local items and takes the imported version of known ids', () => {
+    const plan = planImport(ours, theirs, 'merge');
+    expect(plan.days).toEqual([
+      { dateKey: day, status: 'merge', added: 1, changed: 1, kept: 1 },
+      { dateKey: '2024-05-10', status: 'add', added: 1, changed: 0 },
+    ]);
+    const next = applyImport(ours, theirs, plan, {});
+    expect(next.days[day].map((it) => [it.id, it.done])).toEqual([
+      ['a', true],
+      ['b', false],
+      ['c', false],
+    ]);
+    expect(next.days['2024-05-10'].map((it) => it.id)).toEqual(['d']);
+    expect(next.logs[day].map((e) => e.id)).toEqual(['e1']);
+    // Buckets the file brings are added, routines stay ours
+    expect(next.buckets.map((b) => b.id)).toContain('night');
+    expect(next.routines).toBe(ours.routines);
+  });
+
+  test('replace takes the imported day as it is', () => {
+    const plan = planImport(ours, theirs, 'overwrite');
+    expect(plan.days[0]).toMatchObject({ status: 'overwrite', kept: 1 });
+    const next = applyImport(ours, theirs, plan, {});
+    expect(next.days[day].map((it) => it.id)).toEqual(['a', 'c']);
+  });
+
+  test('a day with nothing new is the same in merge mode only', () => {
+    const copy = storeWith([item('a', 'Read')]);
+    expect(planImport(ours, copy, 'merge').days[0].status).toBe('same');
+    // Replacing it would drop "Walk"
+    expect(planImport(ours, copy, 'overwrite').days[0].status).toBe(
+      'overwrite'
+    );
+    expect(planImport(copy, copy, 'overwrite').days[0].status).toBe('same');
+  });
+
+  test('days older than the retention window are skipped', () => {
+    const lastWeek = {
+      ...ours,
+      settings: { ...ours.settings, retentionDays: 7 },
+      days: {},
+    };
+    const plan = planImport(lastWeek, theirs, 'merge');
+    expect(plan.days).toEqual([]);
+    expect(plan.skipped.sort()).toEqual(['2024-05-10', day]);
+  });
+
+  test('routines can come along, with their weekdays', () => {
+    const plan = planImport(ours, theirs, 'merge');
+    const next = applyImport(ours, theirs, plan, { routines: true });
+    expect(next.routines).toBe(theirs.routines);
+    expect(next.settings.routineByWeekday).toEqual(
+      theirs.settings.routineByWeekday
+    );
+    expect(next.settings.retentionDays).toBe(ours.settings.retentionDays);
+  });
+});
@@ -0,0 +1,71 @@
+// Undo/redo stacks of whole-store snapshots.
+// An entry is { label, store, dateKey, key?, days? }: the store as it was
+// before the change, the day that was open, and the days the change touched
+// when that is not just the open one. Updates are immutable, so a snapshot
+// shares almost everything with the live store and costs little.
+//
+// Entries with the same `key` in a row (typing into a name field) collapse
+// into the first one, so one undo reverts the whole edit.
+//
+// Changes that come from other tabs or the sync server are applied to the
+// snapshots too (rebaseUndo), so undoing puts back only what was done here
+// and never reverts someone else's edit.
+
+export const UNDO_LIMIT = 50;
+
+export function emptyUndo() {
+  return { past: [], future: [] };
+}
+
+export function canUndo(undo) {
+  return undo.past.length > 0;
+}
+
+export function canRedo(undo) {
+  return undo.future.length > 0;
+}
+
+export function pushUndo(undo, entry) {
+  const last = undo.past[undo.past.length - 1];
+  if (entry.key && last?.key === entry.key) return { ...undo, future: [] };
+  return { past: [...undo.past, entry].slice(-UNDO_LIMIT), future: [] };
+}
+
+// The days an entry is about go along with it between the stacks; the
+// `current` snapshot may have been taken with another day open
+function scope(entry) {
+  return {
+    dateKey: entry.dateKey,
+    ...(entry.days ? { days: entry.days } : {}),
+  };
+}
+
+// Moves the newest past entry to `future`, where it is replaced by the
+// `current` snapshot so redo can come back to it
+export function stepBack(undo, current) {
+  const entry = undo.past[undo.past.length - 1];
+  if (!entry) return undo;
+  return {
+    past: undo.past.slice(0, -1),
+    future: [
+      ...undo.future,
+      { ...current, label: entry.label, ...scope(entry) },
+    ],
+  };
+}
+
+export function stepForward(undo, current) {
+  const entry = undo.future[undo.future.length - 1];
+  if (!entry) return undo;
+  return {
+    past: [...undo.past, { ...current, label: entry.label, ...scope(entry) }],
+    future: undo.future.slice(0, -1),
+  };
+}
+
+// `apply` is how a change from elsewhere went into the live store
+export function rebaseUndo(undo, apply) {
+  if (undo.past.length === 0 && undo.future.length === 0) return undo;
+  const rebase = (entry) => ({ ...entry, store: apply(entry.store) });
+  return { past: undo.past.map(rebase), future: undo.future.map(rebase) };
+}
@@ -0,0 +1,79 @@
+import {
+  canRedo,
+  canUndo,
+  emptyUndo,
+  pushUndo,
+  rebaseUndo,
+  stepBack,
+  stepForward,
+  UNDO_LIMIT,
+} from './undo';
+
+const entry = (label, extra) => ({
+  label,
+  store: { days: {}, label },
+  dateKey: '2024-05-15',
+  ...extra,
+});
+
+test('pushUndo keeps the newest entries and clears redo', () => {
+  let u = emptyUndo();
+  expect(canUndo(u)).toBe(false);
+  for (let i = 0; i < UNDO_LIMIT + 5; i++) u = pushUndo(u, entry(`e${i}`));
+  expect(u.past).toHaveLength(UNDO_LIMIT);
+  expect(u.past[0].label).toBe('e5');
+
+  u = stepBack(u, entry('now'));
+  expect(canRedo(u)).toBe(true);
+  expect(canRedo(pushUndo(u, entry('new')))).toBe(false);
+});
+
+test('entries with the same key in a row collapse into the first', () => {
+  let u = emptyUndo();
+  u = pushUndo(u, entry('Renamed', { key: 'rename:r1' }));
+  u = pushUndo(u, entry('Renamed again', { key: 'rename:r1' }));
+  u = pushUndo(u, entry('Other', { key: 'rename:r2' }));
+  expect(u.past.map((e) => e.label)).toEqual(['Renamed', 'Other']);
+});
+
+test('undo and redo swap snapshots and keep what the entry is about', () => {
+  let u = pushUndo(
+    emptyUndo(),
+    entry('Added to Friday', { dateKey: '2024-05-14', days: ['2024-05-17'] })
+  );
+  // Taken with another day open
+  const now = entry('current', { dateKey: '2024-05-20' });
+  u = stepBack(u, now);
+  expect(u.past).toEqual([]);
+  expect(u.future).toEqual([
+    {
+      ...now,
+      label: 'Added to Friday',
+      dateKey: '2024-05-14',
+      days: ['2024-05-17'],
+    },
+  ]);
+
+  u = stepForward(u, entry('again'));
+  expect(u.future).toEqual([]);
+  expect(u.past[0]).toMatchObject({
+    label: 'Added to Friday',
+    dateKey: '2024-05-14',
+    days: ['2024-05-17'],
+    store: { label: 'again' },
+  });
+  expect(stepForward(u, now)).toBe(u);
+});
+
+test('rebaseUndo applies a change from elsewhere to every snapshot', () => {
+  let u = pushUndo(emptyUndo(), entry('a'));
+  u = pushUndo(u, entry('b'));
+  u = stepBack(u, entry('c'));
+  const rebased = rebaseUndo(u, (s) => ({ ...s, goals: ['remote'] }));
+  expect(
+    [...rebased.past, ...rebased.future].map((e) => e.store.goals)
+  ).toEqual([['remote'], ['remote']]);
+  expect(rebased.past[0].label).toBe('a');
+  const empty = emptyUndo();
+  expect(rebaseUndo(empty, () => null)).toBe(empty);
+});
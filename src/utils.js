@@ -0,0 +1,70 @@
+// Small helpers shared by the app and the storage layer.
+
+// The current day key, by the configured time zone and day start
+export { todayKey } from './clock';
+
+export function dateToKey(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+export function keyToDate(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Calendar arithmetic on YYYY-MM-DD keys (local days, DST-safe)
+export function addDays(key, n) {
+  const d = keyToDate(key);
+  d.setDate(d.getDate() + n);
+  return dateToKey(d);
+}
+
+export function uid() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+export function cls(...xs) {
+  return xs.filter(Boolean).join(' ');
+}
+
+export function safeJSONParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+export function downloadFile(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Weeks (Monday first) covering a 'YYYY-MM' month; days outside it are null
+export function monthGrid(monthKey) {
+  const [y, m] = monthKey.split('-').map(Number);
+  const first = new Date(y, m - 1, 1);
+  const lead = (first.getDay() + 6) % 7;
+  const count = new Date(y, m, 0).getDate();
+  const cells = Array(lead).fill(null);
+  for (let d = 1; d <= count; d++) cells.push(dateToKey(new Date(y, m - 1, d)));
+  while (cells.length % 7) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+}
+
+export function addMonths(monthKey, n) {
+  const [y, m] = monthKey.split('-').map(Number);
+  const d = new Date(y, m - 1 + n, 1);
+  return dateToKey(d).slice(0, 7);
+}